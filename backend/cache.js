@@ -0,0 +1,62 @@
+// In-memory TTL cache with request coalescing (per process).
+// Concurrent loads of the same key share one in-flight promise.
+
+export function createTtlCache({ maxEntries = 500 } = {}) {
+  const entries = new Map(); // key -> { value, storedAt, expiresAt, meta }
+  const inflight = new Map(); // key -> Promise<{ value, meta }>
+
+  function evictOverflow() {
+    // Map preserves insertion order, so the first keys are the oldest
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  // Resolve `key` from cache or `loader`. `accept({ value, meta })` may reject a cached entry
+  // or an in-flight load that is fresh but unsuitable for this caller (treated as a miss).
+  // Returns { value, status: 'hit' | 'miss' | 'coalesced', ageMs }.
+  async function getOrLoad(key, ttlMs, loader, { accept } = {}) {
+    const now = Date.now();
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt > now && (!accept || accept(entry))) {
+      return { value: entry.value, status: 'hit', ageMs: now - entry.storedAt };
+    }
+
+    // A shared load must pass `accept` too (e.g. a partial load is no use to a caller that needs it
+    // complete); when it does not, this caller loads on its own
+    while (inflight.has(key)) {
+      const pending = inflight.get(key);
+      const loaded = await pending;
+      if (!accept || accept(loaded)) {
+        return { value: loaded.value, status: 'coalesced', ageMs: 0 };
+      }
+      if (inflight.get(key) === pending) break;
+    }
+
+    const promise = (async () => {
+      const loaded = await loader();
+      if (ttlMs > 0) {
+        entries.delete(key);
+        entries.set(key, { value: loaded.value, meta: loaded.meta, storedAt: Date.now(), expiresAt: Date.now() + ttlMs });
+        evictOverflow();
+      }
+      return loaded;
+    })();
+
+    inflight.set(key, promise);
+    try {
+      const { value } = await promise;
+      return { value, status: 'miss', ageMs: 0 };
+    } finally {
+      if (inflight.get(key) === promise) inflight.delete(key);
+    }
+  }
+
+  return {
+    getOrLoad,
+    clear: () => entries.clear(),
+    get size() {
+      return entries.size;
+    },
+  };
+}
@@ -0,0 +1,171 @@
+// Persistent, named chat sessions (JSON file) and conversation compaction.
+//
+// Sessions are tied to a ticker and optionally a contract. Each one stores every
+// message; older messages are folded into a running summary (see compactHistory)
+// so long conversations keep their context without resending everything.
+//
+// File: CHAT_SESSIONS_FILE (default backend/data/chat-sessions.json).
+
+import { randomUUID } from 'node:crypto';
+import path from 'node:path';
+import { createJsonFile, DATA_DIR } from './jsonFile.js';
+
+const DEFAULT_FILE = path.join(DATA_DIR, 'chat-sessions.json');
+
+// Summarize once this many messages are unsummarized, keeping the most recent ones verbatim
+export const SUMMARY_TRIGGER_MESSAGES = 16;
+export const KEEP_RECENT_MESSAGES = 6;
+
+function listing(session) {
+  const { messages, summary, ...rest } = session;
+  return { ...rest, messageCount: messages.length, summarized: summary?.messageCount || 0 };
+}
+
+export function createChatSessionStore({ file = process.env.CHAT_SESSIONS_FILE || DEFAULT_FILE } = {}) {
+  const store = createJsonFile(file, () => ({ sessions: [] }));
+  let sessions = null; // id -> session, loaded on first use
+
+  async function load() {
+    if (!sessions) {
+      const data = await store.read();
+      sessions = new Map((data.sessions || []).map((s) => [s.id, s]));
+    }
+    return sessions;
+  }
+
+  function save() {
+    return store.write({ sessions: [...sessions.values()] });
+  }
+
+  async function mutate(id, change) {
+    const all = await load();
+    const session = all.get(id);
+    if (!session) return null;
+    change(session);
+    session.updatedAt = new Date().toISOString();
+    await save();
+    return session;
+  }
+
+  return {
+    // Newest first, without messages; optionally only one ticker's sessions
+    async list({ ticker } = {}) {
+      const all = [...(await load()).values()];
+      return all
+        .filter((s) => !ticker || s.ticker === ticker.toUpperCase())
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+        .map(listing);
+    },
+
+    async get(id) {
+      return (await load()).get(id) || null;
+    },
+
+    async create({ name, ticker = null, contract = null } = {}) {
+      const all = await load();
+      const now = new Date().toISOString();
+      const session = {
+        id: randomUUID(),
+        name: name || `${ticker ? ticker.toUpperCase() : 'General'} chat`,
+        ticker: ticker ? ticker.toUpperCase() : null,
+        contract: contract || null,
+        createdAt: now,
+        updatedAt: now,
+        summary: null,
+        messages: [],
+      };
+      all.set(session.id, session);
+      await save();
+      return session;
+    },
+
+    // Change name / ticker / contract
+    update(id, fields) {
+      return mutate(id, (session) => {
+        if (fields.name !== undefined) session.name = fields.name;
+        if (fields.ticker !== undefined) session.ticker = fields.ticker ? fields.ticker.toUpperCase() : null;
+        if (fields.contract !== undefined) session.contract = fields.contract || null;
+      });
+    },
+
+    async remove(id) {
+      const all = await load();
+      if (!all.delete(id)) return false;
+      await save();
+      return true;
+    },
+
+    appendMessages(id, messages) {
+      return mutate(id, (session) => {
+        for (const m of messages) session.messages.push({ id: randomUUID(), ts: Date.now(), ...m });
+      });
+    },
+
+    setSummary(id, summary) {
+      return mutate(id, (session) => {
+        session.summary = summary;
+      });
+    },
+  };
+}
+
+const SUMMARY_PROMPT =
+  'Summarize the conversation below between a trader and an options analysis assistant so it can replace ' +
+  'the original messages as context. Keep tickers, contracts, expirations, strikes, prices, probabilities, ' +
+  'the trader\'s positions and preferences, conclusions and open questions. Use terse bullet points.';
+
+// Fold older messages into the running summary once too many are unsummarized.
+// `summary` is { content, messageCount } (messages[0..messageCount) are covered) or null.
+// Returns { summary, recent } where `recent` are the messages still sent verbatim.
+export async function compactHistory({ llm, model, messages, summary = null, signal }) {
+  const covered = summary?.messageCount || 0;
+  if (messages.length - covered < SUMMARY_TRIGGER_MESSAGES) {
+    return { summary, recent: messages.slice(covered) };
+  }
+
+  const upTo = messages.length - KEEP_RECENT_MESSAGES;
+  const transcript = messages
+    .slice(covered, upTo)
+    .map((m) => `${m.role.toUpperCase()}: ${m.content}`)
+    .join('\n\n');
+  const reply = await llm.complete({
+    model,
+    messages: [
+      { role: 'system', content: SUMMARY_PROMPT },
+      {
+        role: 'user',
+        content: (summary ? `Summary so far:\n${summary.content}\n\nNew messages:\n` : '') + transcript,
+      },
+    ],
+    temperature: 0,
+    signal,
+  });
+
+  const next = { content: reply.content || summary?.content || '', messageCount: upTo, updatedAt: new Date().toISOString() };
+  return { summary: next, recent: messages.slice(upTo) };
+}
+
+// Markdown transcript for export
+export function sessionToMarkdown(session) {
+  const lines = [`# ${session.name}`, ''];
+  const context = [session.ticker && `Ticker: ${session.ticker}`, session.contract && `Contract: ${session.contract}`]
+    .filter(Boolean)
+    .join(' · ');
+  if (context) lines.push(context, '');
+  lines.push(`Created ${session.createdAt} · Updated ${session.updatedAt}`, '');
+
+  if (session.summary?.content) {
+    lines.push(`## Summary of the first ${session.summary.messageCount} messages`, '', session.summary.content, '');
+  }
+
+  lines.push('## Messages', '');
+  for (const m of session.messages) {
+    lines.push(`### ${m.role === 'user' ? 'User' : 'Assistant'} (${new Date(m.ts).toISOString()})`, '');
+    for (const call of m.toolCalls || []) {
+      lines.push(`> Tool \`${call.name}\`${call.error ? ` failed: ${call.error}` : call.summary ? `: ${call.summary}` : ''}`);
+    }
+    if (m.toolCalls?.length) lines.push('');
+    lines.push(m.content, '');
+  }
+  return lines.join('\n');
+}
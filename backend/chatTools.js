@@ -0,0 +1,218 @@
+// Server functions exposed to the chat assistant as OpenAI tools.
+//
+// The assistant calls these to ground its answers in real chain data instead of
+// the text pasted into the chat. `handlers` supplies the data access (the same
+// code paths as the REST endpoints); results are trimmed to the fields the model
+// needs so a full chain stays within a few thousand tokens.
+
+const round = (value, digits = 4) =>
+  typeof value === 'number' && Number.isFinite(value) ? Number(value.toFixed(digits)) : value ?? null;
+
+const money = (value) => (typeof value === 'number' ? `$${value.toFixed(2)}` : String(value));
+
+const TOOL_DEFINITIONS = [
+  {
+    type: 'function',
+    function: {
+      name: 'get_underlying_quote',
+      description: 'Current price and today/overnight change of a stock or ETF, plus the market session.',
+      parameters: {
+        type: 'object',
+        properties: {
+          ticker: { type: 'string', description: 'Underlying ticker, e.g. AAPL' },
+        },
+        required: ['ticker'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'list_expirations',
+      description: 'Listed option expiration dates for an underlying, with trading days left and cycle (weekly, monthly, quarterly, leaps).',
+      parameters: {
+        type: 'object',
+        properties: {
+          ticker: { type: 'string', description: 'Underlying ticker, e.g. AAPL' },
+          maxDays: { type: 'integer', description: 'Only expirations within this many calendar days (optional)' },
+        },
+        required: ['ticker'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_option_chain',
+      description:
+        'Option chain for one expiration around the current price: bid/ask, IV, Greeks, breakeven, ' +
+        'probability ITM / touch / profit (for the given action), volume and open interest per contract.',
+      parameters: {
+        type: 'object',
+        properties: {
+          ticker: { type: 'string', description: 'Underlying ticker, e.g. AAPL' },
+          expirationDate: { type: 'string', description: 'Expiration date, YYYY-MM-DD' },
+          contractType: { type: 'string', enum: ['call', 'put', 'both'] },
+          action: { type: 'string', enum: ['buy', 'sell'], description: 'Side used for breakeven and probability of profit' },
+          strikeCount: { type: 'integer', description: 'Strikes on each side of the price (default 8, max 25)' },
+        },
+        required: ['ticker', 'expirationDate', 'contractType'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'analyze_position',
+      description:
+        'Analyze a single contract or a multi-leg strategy (same underlying): net premium, max profit/loss, ' +
+        'breakevens, aggregate Greeks and probability of profit at the earliest expiration.',
+      parameters: {
+        type: 'object',
+        properties: {
+          legs: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                ticker: { type: 'string', description: 'OCC option ticker, e.g. O:AAPL260116C00250000' },
+                side: { type: 'string', enum: ['buy', 'sell'] },
+                quantity: { type: 'integer', minimum: 1 },
+              },
+              required: ['ticker', 'side'],
+            },
+          },
+        },
+        required: ['legs'],
+      },
+    },
+  },
+];
+
+function compactOption(o) {
+  return {
+    ticker: o.ticker,
+    type: o.contractType,
+    strike: o.strikePrice,
+    bid: o.bidPrice,
+    ask: o.askPrice,
+    iv: round(o.impliedVolatility),
+    delta: round(o.delta),
+    theta: round(o.theta),
+    breakeven: round(o.breakeven, 2),
+    probITM: round(o.probabilityITM),
+    probTouch: round(o.probabilityTouch),
+    probProfit: round(o.probabilityOfProfit),
+    volume: o.volume,
+    openInterest: o.openInterest,
+  };
+}
+
+function compactUnderlying(u) {
+  return {
+    ticker: u.ticker,
+    price: u.price,
+    prevClose: u.prevClose,
+    todayChange: round(u.todayChange, 2),
+    todayChangePercent: round(u.todayChangePercent, 2),
+    session: u.session?.state,
+  };
+}
+
+// Tool implementations: each returns { result, summary } (summary is shown in the chat log)
+function createImplementations(handlers) {
+  return {
+    async get_underlying_quote({ ticker }) {
+      const underlying = await handlers.getUnderlying(String(ticker).toUpperCase());
+      return {
+        result: compactUnderlying(underlying),
+        summary: `${underlying.ticker} ${underlying.price != null ? money(underlying.price) : 'no price'}`,
+      };
+    },
+
+    async list_expirations({ ticker, maxDays }) {
+      let dates = await handlers.listExpirations(String(ticker).toUpperCase());
+      if (maxDays != null && Number.isFinite(Number(maxDays))) {
+        dates = dates.filter((d) => d.calendarDaysUntil <= Number(maxDays));
+      }
+      return {
+        result: dates.map((d) => ({ date: d.date, cycle: d.cycle, tradingDays: d.daysUntil, calendarDays: d.calendarDaysUntil })),
+        summary: `${dates.length} expiration${dates.length === 1 ? '' : 's'}`,
+      };
+    },
+
+    async get_option_chain({ ticker, expirationDate, contractType = 'both', action = 'buy', strikeCount = 8 }) {
+      const count = Math.min(25, Math.max(1, Math.floor(Number(strikeCount) || 8)));
+      const { underlying, options } = await handlers.getChain({
+        ticker: String(ticker).toUpperCase(),
+        expirationDate,
+        contractType: String(contractType).toLowerCase(),
+        action: String(action).toLowerCase(),
+        strikeCount: count,
+      });
+      return {
+        result: { underlying: compactUnderlying(underlying), expirationDate, action, options: options.map(compactOption) },
+        summary: `${String(ticker).toUpperCase()} ${expirationDate} ${contractType}: ${options.length} contracts`,
+      };
+    },
+
+    async analyze_position({ legs }) {
+      const analysis = await handlers.analyzePosition(legs);
+      return {
+        result: {
+          underlyingPrice: analysis.underlyingPrice,
+          legs: analysis.legs.map((l) => ({
+            ticker: l.ticker,
+            side: l.side,
+            quantity: l.quantity,
+            premium: l.premium,
+            iv: round(l.impliedVolatility),
+            delta: round(l.delta),
+          })),
+          netPremium: round(analysis.netPremium, 2),
+          netType: analysis.netType,
+          maxProfit: round(analysis.maxProfit, 2),
+          maxLoss: round(analysis.maxLoss, 2),
+          breakevens: analysis.breakevens.map((b) => round(b, 2)),
+          greeks: Object.fromEntries(Object.entries(analysis.greeks || {}).map(([k, v]) => [k, round(v)])),
+          probabilityOfProfit: round(analysis.probabilityOfProfit),
+          evaluationDate: analysis.evaluationDate,
+          contractMultiplier: analysis.contractMultiplier,
+        },
+        summary:
+          `${analysis.legs.length} leg${analysis.legs.length === 1 ? '' : 's'}: ` +
+          `max profit ${money(analysis.maxProfit)}, max loss ${money(analysis.maxLoss)}` +
+          (analysis.probabilityOfProfit != null ? `, POP ${(analysis.probabilityOfProfit * 100).toFixed(1)}%` : ''),
+      };
+    },
+  };
+}
+
+// handlers: { getUnderlying(ticker), listExpirations(ticker), getChain(args), analyzePosition(legs) }.
+// Handlers throw on bad input; the message is returned to the model as { error }.
+export function createChatTools(handlers) {
+  const implementations = createImplementations(handlers);
+
+  // Run one tool call (arguments as the model's JSON string).
+  // Returns { name, arguments, result, summary } or { name, arguments, error }.
+  async function run(name, rawArguments) {
+    let args;
+    try {
+      args = rawArguments ? JSON.parse(rawArguments) : {};
+    } catch {
+      return { name, arguments: rawArguments, error: 'Arguments are not valid JSON' };
+    }
+
+    const implementation = implementations[name];
+    if (!implementation) return { name, arguments: args, error: `Unknown tool: ${name}` };
+
+    try {
+      const { result, summary } = await implementation(args);
+      return { name, arguments: args, result, summary };
+    } catch (error) {
+      return { name, arguments: args, error: error.message };
+    }
+  }
+
+  return { definitions: TOOL_DEFINITIONS, run };
+}
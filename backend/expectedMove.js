@@ -0,0 +1,61 @@
+// Market-implied expected move for one expiration.
+//
+//   straddle  call + put premium at the strike nearest the price (bid/ask midpoint, else close):
+//             what the market charges for a move either way by expiration
+//   1σ move   spot × ATM IV × √t: one standard deviation of the lognormal model
+//
+// The straddle boundaries (spot ± straddle) are the ones drawn on the chain.
+
+import { observedPremium, resolveVolatilityAndGreeks } from './pricing.js';
+
+// snapshot: Polygon chain snapshot entries (both sides) for `expirationDate`; t in years.
+// Returns null when no strike has both a call and a put with a usable price.
+export function expectedMove(snapshot, { spot, expirationDate, t }) {
+  if (!(spot > 0)) return null;
+
+  const byStrike = new Map(); // strike -> { call, put }
+  for (const option of snapshot) {
+    if (option.details?.expiration_date !== expirationDate) continue;
+    const side = String(option.details.contract_type).toLowerCase();
+    if (side !== 'call' && side !== 'put') continue;
+    const pair = byStrike.get(option.details.strike_price) || {};
+    pair[side] = option;
+    byStrike.set(option.details.strike_price, pair);
+  }
+
+  const straddles = [...byStrike]
+    .map(([strike, { call, put }]) => ({
+      strike,
+      call,
+      put,
+      callPrice: call ? observedPremium(call.day) : null,
+      putPrice: put ? observedPremium(put.day) : null,
+    }))
+    .filter((s) => s.callPrice !== null && s.putPrice !== null);
+  if (straddles.length === 0) return null;
+
+  const atm = straddles.reduce((best, s) => (Math.abs(s.strike - spot) < Math.abs(best.strike - spot) ? s : best));
+  const straddlePrice = atm.callPrice + atm.putPrice;
+
+  const ivs = [atm.call, atm.put]
+    .map((option) => resolveVolatilityAndGreeks({ option, spot, t }).impliedVolatility)
+    .filter((iv) => Number.isFinite(iv) && iv > 0);
+  const impliedVolatility = ivs.length > 0 ? ivs.reduce((sum, iv) => sum + iv, 0) / ivs.length : null;
+  const oneSigmaMove = impliedVolatility !== null && t > 0 ? spot * impliedVolatility * Math.sqrt(t) : null;
+
+  return {
+    expirationDate,
+    strike: atm.strike,
+    callPrice: atm.callPrice,
+    putPrice: atm.putPrice,
+    straddlePrice,
+    movePercent: (straddlePrice / spot) * 100,
+    upper: spot + straddlePrice,
+    lower: Math.max(0, spot - straddlePrice),
+    impliedVolatility,
+    oneSigmaMove,
+    oneSigmaPercent: oneSigmaMove !== null ? (oneSigmaMove / spot) * 100 : null,
+    oneSigmaUpper: oneSigmaMove !== null ? spot + oneSigmaMove : null,
+    oneSigmaLower: oneSigmaMove !== null ? Math.max(0, spot - oneSigmaMove) : null,
+  };
+}
@@ -0,0 +1,113 @@
+// Expiration cycles, the /api/expiration-dates filters and per-expiration chain stats.
+//
+// Cycles (one per expiration, first match wins):
+//   leaps      more than LEAPS_MIN_DAYS calendar days out
+//   monthly    the standard monthly (third Friday, or the trading day before when it is a holiday)
+//   quarterly  the last trading day of March, June, September or December
+//   weekly     everything else (weeklies and other short-dated expirations)
+
+import { standardMonthlyExpiration, lastTradingDayOfMonth } from './marketCalendar.js';
+import { resolveVolatilityAndGreeks } from './pricing.js';
+import { yearsToExpiry } from './probability.js';
+
+export const EXPIRATION_CYCLES = ['weekly', 'monthly', 'quarterly', 'leaps'];
+const LEAPS_MIN_DAYS = 365;
+const QUARTER_END_MONTHS = [3, 6, 9, 12];
+
+// Cycle of the expiration on `date` (YYYY-MM-DD), `calendarDaysUntil` days from now
+export function expirationCycle(date, calendarDaysUntil) {
+  if (calendarDaysUntil > LEAPS_MIN_DAYS) return 'leaps';
+  const [year, month] = date.split('-').map(Number);
+  if (date === standardMonthlyExpiration(year, month)) return 'monthly';
+  if (QUARTER_END_MONTHS.includes(month) && date === lastTradingDayOfMonth(year, month)) return 'quarterly';
+  return 'weekly';
+}
+
+// ?minDte=&maxDte= (calendar days) and ?cycle=weekly,monthly. Returns { filters } or { error }.
+export function parseExpirationFilters(query = {}) {
+  const filters = { minDte: null, maxDte: null, cycles: null };
+  for (const key of ['minDte', 'maxDte']) {
+    if (query[key] === undefined || query[key] === '') continue;
+    const value = Number(query[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `Invalid ${key}: expected a number of days >= 0` };
+    }
+    filters[key] = value;
+  }
+  if (filters.minDte !== null && filters.maxDte !== null && filters.minDte > filters.maxDte) {
+    return { error: 'Invalid DTE range: minDte is greater than maxDte' };
+  }
+  if (query.cycle) {
+    const cycles = String(query.cycle)
+      .split(',')
+      .map((c) => c.trim().toLowerCase())
+      .filter(Boolean);
+    const unknown = cycles.filter((c) => !EXPIRATION_CYCLES.includes(c));
+    if (unknown.length > 0) {
+      return { error: `Invalid cycle: ${unknown.join(', ')} (expected ${EXPIRATION_CYCLES.join(', ')})` };
+    }
+    filters.cycles = cycles;
+  }
+  return { filters };
+}
+
+// Expirations (with `calendarDaysUntil` and `cycle`) matching the filters
+export function filterExpirations(expirations, { minDte, maxDte, cycles }) {
+  return expirations.filter(
+    (e) =>
+      (minDte === null || e.calendarDaysUntil >= minDte) &&
+      (maxDte === null || e.calendarDaysUntil <= maxDte) &&
+      (cycles === null || cycles.includes(e.cycle))
+  );
+}
+
+// At-the-money IV of one expiration's snapshot entries: the mean of the call and put IV at the
+// strike nearest `spot`. Returns { atmIv, strike } (atmIv null when no IV could be resolved).
+export function atmImpliedVolatilityOf(options, spot, t) {
+  if (!(spot > 0) || options.length === 0) return { atmIv: null, strike: null };
+  const strike = options.reduce(
+    (best, o) => (Math.abs(o.details.strike_price - spot) < Math.abs(best - spot) ? o.details.strike_price : best),
+    options[0].details.strike_price
+  );
+  const ivs = options
+    .filter((o) => o.details.strike_price === strike)
+    .map((option) => resolveVolatilityAndGreeks({ option, spot, t }).impliedVolatility)
+    .filter((iv) => Number.isFinite(iv) && iv > 0);
+  return { atmIv: ivs.length > 0 ? ivs.reduce((sum, iv) => sum + iv, 0) / ivs.length : null, strike };
+}
+
+// Per-expiration stats: date -> { strikeCount, openInterest, volume, atmIv, statsComplete }.
+// Strikes come from the contract list (every listed strike); OI, volume and IV from the snapshot.
+// `statsComplete` is false when the snapshot holds fewer contracts than are listed for the date,
+// i.e. a page-capped snapshot stopped before reaching it (or part way through it).
+export function expirationStats({ contracts, snapshot, spot }) {
+  const strikes = new Map(); // date -> Set of strikes
+  const listed = new Map(); // date -> listed contract count
+  for (const c of contracts) {
+    if (!c.expiration_date) continue;
+    if (!strikes.has(c.expiration_date)) strikes.set(c.expiration_date, new Set());
+    strikes.get(c.expiration_date).add(c.strike_price);
+    listed.set(c.expiration_date, (listed.get(c.expiration_date) || 0) + 1);
+  }
+
+  const byDate = new Map(); // date -> snapshot entries
+  for (const option of snapshot) {
+    const date = option.details?.expiration_date;
+    if (!date) continue;
+    if (!byDate.has(date)) byDate.set(date, []);
+    byDate.get(date).push(option);
+  }
+
+  const stats = new Map();
+  for (const date of new Set([...strikes.keys(), ...byDate.keys()])) {
+    const options = byDate.get(date) || [];
+    stats.set(date, {
+      strikeCount: (strikes.get(date) || new Set(options.map((o) => o.details.strike_price))).size,
+      openInterest: options.reduce((sum, o) => sum + (Number(o.open_interest) || 0), 0),
+      volume: options.reduce((sum, o) => sum + (Number(o.day?.volume) || 0), 0),
+      atmIv: atmImpliedVolatilityOf(options, spot, yearsToExpiry(date)).atmIv,
+      statsComplete: options.length >= (listed.get(date) || 0),
+    });
+  }
+  return stats;
+}
@@ -0,0 +1,75 @@
+// Local history of each underlying's at-the-money implied volatility (JSON file), used for
+// IV rank and IV percentile.
+//
+// Polygon has no historical IV, so the server samples ATM IV whenever it quotes an
+// underlying (one point per ticker per day; the latest sample of the day wins) and
+// ranks today's value against the past 52 weeks of samples.
+//
+// File: IV_HISTORY_FILE (default backend/data/iv-history.json).
+
+import path from 'node:path';
+import { createJsonFile, DATA_DIR } from './jsonFile.js';
+
+const DEFAULT_FILE = path.join(DATA_DIR, 'iv-history.json');
+
+export const IV_LOOKBACK_DAYS = 52 * 7;
+const MAX_POINTS_PER_TICKER = 400;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export function createIvHistoryStore({ file = process.env.IV_HISTORY_FILE || DEFAULT_FILE } = {}) {
+  const store = createJsonFile(file, () => ({ tickers: {} }));
+  let history = null; // ticker -> [{ date, iv }] sorted by date, loaded on first use
+
+  async function load() {
+    if (!history) history = (await store.read()).tickers || {};
+    return history;
+  }
+
+  return {
+    // Samples for `ticker`, oldest first
+    async get(ticker) {
+      return (await load())[ticker.toUpperCase()] || [];
+    },
+
+    // Record today's (ET trading date `date`) ATM IV; returns the updated samples
+    async record(ticker, date, iv) {
+      const all = await load();
+      const key = ticker.toUpperCase();
+      const points = all[key] || [];
+      const last = points[points.length - 1];
+      if (last?.date === date) {
+        if (last.iv === iv) return points;
+        last.iv = iv;
+      } else {
+        points.push({ date, iv });
+        points.sort((a, b) => a.date.localeCompare(b.date));
+      }
+      all[key] = points.slice(-MAX_POINTS_PER_TICKER);
+      await store.write({ tickers: all });
+      return all[key];
+    },
+  };
+}
+
+// Where `current` sits among the samples of the 52 weeks ending `asOf` (YYYY-MM-DD), both 0..1:
+//   ivRank       (current - low) / (high - low); null until the window has two different values
+//   ivPercentile share of earlier days with a lower IV; null until there is an earlier day
+export function ivStats(points, current, asOf) {
+  const from = new Date(Date.parse(`${asOf}T00:00:00Z`) - IV_LOOKBACK_DAYS * MS_PER_DAY).toISOString().slice(0, 10);
+  const inWindow = points.filter((p) => p.date >= from && p.date <= asOf);
+  if (!Number.isFinite(current) || inWindow.length === 0) {
+    return { ivRank: null, ivPercentile: null, ivHigh: null, ivLow: null, samples: inWindow.length };
+  }
+
+  const values = inWindow.map((p) => p.iv);
+  const ivHigh = Math.max(current, ...values);
+  const ivLow = Math.min(current, ...values);
+  const earlier = inWindow.filter((p) => p.date < asOf).map((p) => p.iv);
+  return {
+    ivRank: ivHigh > ivLow ? (current - ivLow) / (ivHigh - ivLow) : null,
+    ivPercentile: earlier.length > 0 ? earlier.filter((iv) => iv < current).length / earlier.length : null,
+    ivHigh,
+    ivLow,
+    samples: inWindow.length,
+  };
+}
@@ -0,0 +1,41 @@
+// Small JSON file persistence shared by the server-side stores (chat sessions, watchlist, IV history).
+//
+// The file is read once and kept in memory by the caller; writes are serialized and
+// atomic (temp file + rename) so a crash never leaves half a file.
+
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'data');
+
+// `fallback()` builds the initial contents when the file does not exist yet
+export function createJsonFile(file, fallback) {
+  let writing = Promise.resolve();
+
+  return {
+    file,
+
+    async read() {
+      try {
+        return JSON.parse(await readFile(file, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return fallback();
+      }
+    },
+
+    write(data) {
+      const snapshot = JSON.stringify(data, null, 2);
+      const next = writing.then(async () => {
+        await mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await writeFile(tmp, snapshot);
+        await rename(tmp, file);
+      });
+      // The caller sees this write's failure; later writes still run
+      writing = next.catch(() => {});
+      return next;
+    },
+  };
+}
@@ -0,0 +1,47 @@
+// LLM provider selection for /api/chat.
+//
+// Every provider implements:
+//   complete({ model, messages, tools?, temperature?, stream?, onDelta?, signal? }) -> { content, tool_calls? }
+//   configurationError() -> string | null   (why the provider cannot serve requests)
+//
+// Select with LLM_PROVIDER=openai (default; any OpenAI-compatible server via LLM_BASE_URL) | mock.
+// Models: LLM_MODEL (or OPENAI_MODEL) is the default; LLM_MODELS is a comma-separated allowlist
+// that requests may pick from with `model`.
+
+import { createOpenAiProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+
+const factories = {
+  openai: createOpenAiProvider,
+  mock: createMockProvider,
+};
+
+export function createLlmProvider(name = process.env.LLM_PROVIDER || 'openai') {
+  const factory = factories[String(name).toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}" (expected one of: ${Object.keys(factories).join(', ')})`);
+  }
+  const provider = factory();
+
+  const defaultModel = process.env.LLM_MODEL || process.env.OPENAI_MODEL || (provider.name === 'mock' ? 'mock' : 'gpt-4o-mini');
+  const allowed = (process.env.LLM_MODELS || '')
+    .split(',')
+    .map((m) => m.trim())
+    .filter(Boolean);
+  const models = [defaultModel, ...allowed.filter((m) => m !== defaultModel)];
+
+  return {
+    ...provider,
+    defaultModel,
+    models,
+
+    // Model for a request: the default, or an allowlisted override. Returns { model } or { error }.
+    resolveModel(requested) {
+      if (requested === undefined || requested === null || requested === '') return { model: defaultModel };
+      if (!models.includes(requested)) {
+        return { error: `Model "${requested}" is not allowed (allowed: ${models.join(', ')})` };
+      }
+      return { model: requested };
+    },
+  };
+}
@@ -0,0 +1,95 @@
+// Deterministic mock LLM provider for tests and demos (no network, no key).
+//
+// - When tools are offered and the latest user message names an OCC option ticker
+//   (O:AAPL260116C00250000) it calls analyze_position for it; a `$TICKER` or
+//   "Ticker: XYZ" mention calls get_underlying_quote instead.
+// - After tool results it replies with a summary of them.
+// - Otherwise it echoes the request.
+// Streaming emits the reply word by word, LLM_MOCK_DELAY_MS apart (default 15).
+
+const OCC_PATTERN = /\bO:[A-Z0-9.]+\d{6}[CP]\d{8}\b/;
+const TICKER_PATTERN = /(?:\$|\bTicker:\s*)([A-Z][A-Z0-9.]{0,9})\b/;
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    // Remove the listener once the timer fires: a reply sleeps once per word on the same signal
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function abortError() {
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+function toolCall(name, args) {
+  return { id: `mock-call-${name}`, type: 'function', function: { name, arguments: JSON.stringify(args) } };
+}
+
+function plan({ model, messages, tools }) {
+  const last = messages[messages.length - 1] || {};
+
+  if (last.role === 'tool') {
+    const results = [];
+    for (let i = messages.length - 1; i >= 0 && messages[i].role === 'tool'; i--) {
+      results.unshift(messages[i].content.length > 300 ? `${messages[i].content.slice(0, 300)}…` : messages[i].content);
+    }
+    return {
+      content:
+        `Mock analysis (${model}) based on ${results.length} tool result${results.length === 1 ? '' : 's'}:\n` +
+        results.map((r) => `- ${r}`).join('\n') +
+        '\n\nThis is a mock response, not financial advice.',
+    };
+  }
+
+  const text = typeof last.content === 'string' ? last.content : '';
+  const toolNames = new Set((tools || []).map((t) => t.function?.name));
+  const occ = OCC_PATTERN.exec(text)?.[0];
+  if (occ && toolNames.has('analyze_position')) {
+    const side = /\bsell\b/i.test(text) ? 'sell' : 'buy';
+    return { content: '', tool_calls: [toolCall('analyze_position', { legs: [{ ticker: occ, side, quantity: 1 }] })] };
+  }
+  const ticker = TICKER_PATTERN.exec(text)?.[1];
+  if (ticker && toolNames.has('get_underlying_quote')) {
+    return { content: '', tool_calls: [toolCall('get_underlying_quote', { ticker })] };
+  }
+
+  const preview = text.length > 160 ? `${text.slice(0, 160)}…` : text;
+  return {
+    content:
+      `Mock reply (${model}): received ${messages.length} message${messages.length === 1 ? '' : 's'}. ` +
+      `Last message: "${preview}"\n\nThis is a mock response, not financial advice.`,
+  };
+}
+
+export function createMockProvider({ delayMs = Number(process.env.LLM_MOCK_DELAY_MS ?? 15) } = {}) {
+  return {
+    name: 'mock',
+    baseUrl: null,
+
+    configurationError() {
+      return null;
+    },
+
+    async complete({ model, messages, tools, stream = false, onDelta, signal }) {
+      const message = plan({ model, messages, tools });
+      if (stream && message.content) {
+        for (const word of message.content.match(/\S+\s*|\s+/g)) {
+          if (delayMs > 0) await sleep(delayMs, signal);
+          onDelta(word);
+        }
+      }
+      return message;
+    },
+  };
+}
@@ -0,0 +1,90 @@
+// OpenAI-compatible chat completions provider.
+// Works with api.openai.com and any server exposing /v1/chat/completions in the same
+// format (vLLM, llama.cpp server, Ollama, LM Studio, ...), including streaming and tool calls.
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+// `data:` payloads from a server-sent event stream (a fetch Response body)
+async function* readSseData(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.startsWith('data:')) yield line.slice(5).trim();
+    }
+  }
+}
+
+// Accumulate a streamed chat completion into one message ({ content, tool_calls }),
+// passing text deltas to `onDelta` as they arrive
+async function readStreamedMessage(body, onDelta) {
+  let content = '';
+  const toolCalls = [];
+  for await (const data of readSseData(body)) {
+    if (data === '[DONE]') break;
+    const delta = JSON.parse(data)?.choices?.[0]?.delta;
+    if (!delta) continue;
+    if (delta.content) {
+      content += delta.content;
+      onDelta(delta.content);
+    }
+    // Tool calls arrive in fragments keyed by index
+    for (const fragment of delta.tool_calls || []) {
+      const call = (toolCalls[fragment.index] ||= { id: '', type: 'function', function: { name: '', arguments: '' } });
+      if (fragment.id) call.id = fragment.id;
+      if (fragment.function?.name) call.function.name += fragment.function.name;
+      if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+    }
+  }
+  return { content, tool_calls: toolCalls.filter(Boolean) };
+}
+
+export function createOpenAiProvider({
+  baseUrl = process.env.LLM_BASE_URL || DEFAULT_BASE_URL,
+  apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+} = {}) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  const isPublicOpenAi = new URL(endpoint).hostname === 'api.openai.com';
+
+  return {
+    name: 'openai',
+    baseUrl,
+
+    // Self-hosted servers usually run without a key; the public API never does
+    configurationError() {
+      return isPublicOpenAi && !apiKey ? 'OPENAI_API_KEY is not configured on the server.' : null;
+    },
+
+    async complete({ model, messages, tools, temperature = 0.4, stream = false, onDelta, signal }) {
+      const res = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          model,
+          messages,
+          temperature,
+          ...(tools ? { tools } : {}),
+          ...(stream ? { stream: true } : {}),
+        }),
+        signal,
+      });
+
+      if (!res.ok) {
+        const text = await res.text().catch(() => '');
+        const error = new Error(`LLM error: ${res.status}${text ? ` - ${text}` : ''}`);
+        error.status = 502;
+        throw error;
+      }
+
+      if (stream) return readStreamedMessage(res.body, onDelta);
+      const data = await res.json();
+      return data?.choices?.[0]?.message ?? {};
+    },
+  };
+}
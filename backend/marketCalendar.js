@@ -0,0 +1,264 @@
+// US equity/options market calendar (NYSE schedule, America/New_York).
+//
+// Sessions (ET):
+//   pre      04:00 - 09:30
+//   regular  09:30 - 16:00 (13:00 on early-close days)
+//   post     close - 20:00 (17:00 on early-close days)
+//   closed   otherwise, weekends and exchange holidays
+//
+// Holidays and early closes come from the published NYSE tables below. Dates past
+// the last table year are treated as ordinary weekdays; extend the tables yearly.
+
+const MARKET_TZ = 'America/New_York';
+
+const PRE_OPEN = 4 * 60;
+const REGULAR_OPEN = 9 * 60 + 30;
+const REGULAR_CLOSE = 16 * 60;
+const EARLY_CLOSE = 13 * 60;
+const POST_CLOSE = 20 * 60;
+const EARLY_POST_CLOSE = 17 * 60;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_YEAR = 365 * MS_PER_DAY;
+
+// Full-day closures
+export const MARKET_HOLIDAYS = {
+  '2024-01-01': "New Year's Day",
+  '2024-01-15': 'Martin Luther King Jr. Day',
+  '2024-02-19': "Washington's Birthday",
+  '2024-03-29': 'Good Friday',
+  '2024-05-27': 'Memorial Day',
+  '2024-06-19': 'Juneteenth',
+  '2024-07-04': 'Independence Day',
+  '2024-09-02': 'Labor Day',
+  '2024-11-28': 'Thanksgiving Day',
+  '2024-12-25': 'Christmas Day',
+
+  '2025-01-01': "New Year's Day",
+  '2025-01-09': 'National Day of Mourning',
+  '2025-01-20': 'Martin Luther King Jr. Day',
+  '2025-02-17': "Washington's Birthday",
+  '2025-04-18': 'Good Friday',
+  '2025-05-26': 'Memorial Day',
+  '2025-06-19': 'Juneteenth',
+  '2025-07-04': 'Independence Day',
+  '2025-09-01': 'Labor Day',
+  '2025-11-27': 'Thanksgiving Day',
+  '2025-12-25': 'Christmas Day',
+
+  '2026-01-01': "New Year's Day",
+  '2026-01-19': 'Martin Luther King Jr. Day',
+  '2026-02-16': "Washington's Birthday",
+  '2026-04-03': 'Good Friday',
+  '2026-05-25': 'Memorial Day',
+  '2026-06-19': 'Juneteenth',
+  '2026-07-03': 'Independence Day (observed)',
+  '2026-09-07': 'Labor Day',
+  '2026-11-26': 'Thanksgiving Day',
+  '2026-12-25': 'Christmas Day',
+
+  '2027-01-01': "New Year's Day",
+  '2027-01-18': 'Martin Luther King Jr. Day',
+  '2027-02-15': "Washington's Birthday",
+  '2027-03-26': 'Good Friday',
+  '2027-05-31': 'Memorial Day',
+  '2027-06-18': 'Juneteenth (observed)',
+  '2027-07-05': 'Independence Day (observed)',
+  '2027-09-06': 'Labor Day',
+  '2027-11-25': 'Thanksgiving Day',
+  '2027-12-24': 'Christmas Day (observed)',
+
+  // New Year's Day 2028 falls on a Saturday and is not observed
+  '2028-01-17': 'Martin Luther King Jr. Day',
+  '2028-02-21': "Washington's Birthday",
+  '2028-04-14': 'Good Friday',
+  '2028-05-29': 'Memorial Day',
+  '2028-06-19': 'Juneteenth',
+  '2028-07-04': 'Independence Day',
+  '2028-09-04': 'Labor Day',
+  '2028-11-23': 'Thanksgiving Day',
+  '2028-12-25': 'Christmas Day',
+};
+
+// 1:00 PM ET closes
+export const EARLY_CLOSES = {
+  '2024-07-03': 'Day before Independence Day',
+  '2024-11-29': 'Day after Thanksgiving',
+  '2024-12-24': 'Christmas Eve',
+
+  '2025-07-03': 'Day before Independence Day',
+  '2025-11-28': 'Day after Thanksgiving',
+  '2025-12-24': 'Christmas Eve',
+
+  '2026-11-27': 'Day after Thanksgiving',
+  '2026-12-24': 'Christmas Eve',
+
+  '2027-11-26': 'Day after Thanksgiving',
+
+  '2028-07-03': 'Day before Independence Day',
+  '2028-11-24': 'Day after Thanksgiving',
+};
+
+const etFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: MARKET_TZ,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+});
+
+// Wall-clock parts of `date` in New York
+function etParts(date) {
+  const parts = Object.fromEntries(etFormatter.formatToParts(date).map((p) => [p.type, p.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute) + Number(parts.second) / 60,
+  };
+}
+
+// Instant for a New York wall-clock time (`minutes` after midnight on `dateStr`)
+function etTime(dateStr, minutes) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const naive = Date.UTC(year, month - 1, day, 0, minutes);
+  // Offset at the guess, then once more in case the guess crossed a DST switch
+  let utc = naive;
+  for (let i = 0; i < 2; i++) {
+    const wall = etParts(new Date(utc));
+    const [wy, wm, wd] = wall.date.split('-').map(Number);
+    const wallMs = Date.UTC(wy, wm - 1, wd, 0, 0) + Math.round(wall.minutes * 60 * 1000);
+    utc = naive - (wallMs - utc);
+  }
+  return new Date(utc);
+}
+
+function addDays(dateStr, days) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+function isWeekend(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return weekday === 0 || weekday === 6;
+}
+
+export function isTradingDay(dateStr) {
+  return !isWeekend(dateStr) && !MARKET_HOLIDAYS[dateStr];
+}
+
+// Regular and extended session boundaries for a trading day (null otherwise)
+export function sessionHours(dateStr) {
+  if (!isTradingDay(dateStr)) return null;
+  const early = Boolean(EARLY_CLOSES[dateStr]);
+  return {
+    date: dateStr,
+    earlyClose: early,
+    preOpen: etTime(dateStr, PRE_OPEN),
+    open: etTime(dateStr, REGULAR_OPEN),
+    close: etTime(dateStr, early ? EARLY_CLOSE : REGULAR_CLOSE),
+    postClose: etTime(dateStr, early ? EARLY_POST_CLOSE : POST_CLOSE),
+  };
+}
+
+// First trading day on or after `dateStr`
+function nextTradingDay(dateStr) {
+  let d = dateStr;
+  while (!isTradingDay(d)) d = addDays(d, 1);
+  return d;
+}
+
+// Latest trading day on or before `dateStr`
+function previousTradingDay(dateStr) {
+  let d = dateStr;
+  while (!isTradingDay(d)) d = addDays(d, -1);
+  return d;
+}
+
+// Standard monthly options expiration: the third Friday of the month, or the trading day
+// before it when that Friday is a holiday (month 1-12)
+export function standardMonthlyExpiration(year, month) {
+  const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+  const firstFriday = 1 + ((5 - firstWeekday + 7) % 7);
+  const thirdFriday = new Date(Date.UTC(year, month - 1, firstFriday + 14)).toISOString().slice(0, 10);
+  return previousTradingDay(thirdFriday);
+}
+
+// Last trading day of the month (month 1-12)
+export function lastTradingDayOfMonth(year, month) {
+  return previousTradingDay(new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10));
+}
+
+// Most recent trading day whose pre-market has started at `now` (today once pre-market opens,
+// otherwise the previous trading day): the day an intraday chart should show
+export function latestSessionDate(now = new Date()) {
+  let d = etParts(now).date;
+  const hours = sessionHours(d);
+  if (hours && now >= hours.preOpen) return d;
+  do d = addDays(d, -1);
+  while (!isTradingDay(d));
+  return d;
+}
+
+// Session state at `now` plus the next regular open/close
+export function getMarketSession(now = new Date()) {
+  const { date: today } = etParts(now);
+  const hours = sessionHours(today);
+  const t = now.getTime();
+
+  let state = 'closed';
+  if (hours) {
+    if (t >= hours.open.getTime() && t < hours.close.getTime()) state = 'regular';
+    else if (t >= hours.preOpen.getTime() && t < hours.open.getTime()) state = 'pre';
+    else if (t >= hours.close.getTime() && t < hours.postClose.getTime()) state = 'post';
+  }
+
+  // The upcoming session is today's unless its open has already passed
+  const upcoming = hours && t < hours.open.getTime() ? hours : sessionHours(nextTradingDay(addDays(today, 1)));
+  const current = state === 'regular' ? hours : upcoming;
+
+  return {
+    state,
+    isOpen: state === 'regular',
+    date: today,
+    isTradingDay: Boolean(hours),
+    holiday: MARKET_HOLIDAYS[today] || null,
+    earlyClose: hours?.earlyClose || false,
+    nextOpen: upcoming.open.toISOString(),
+    nextClose: current.close.toISOString(),
+  };
+}
+
+// Regular-session close on `dateStr` (4:00 PM ET, 1:00 PM on early-close days).
+// Non-trading days fall back to 4:00 PM so callers always get an instant.
+export function sessionClose(dateStr) {
+  return etTime(dateStr, EARLY_CLOSES[dateStr] ? EARLY_CLOSE : REGULAR_CLOSE);
+}
+
+// Trading sessions from `now` through `dateStr`, counting today only if its
+// regular session has not closed yet
+export function tradingDaysUntil(dateStr, now = new Date()) {
+  let d = etParts(now).date;
+  if (d > dateStr) return 0;
+  let count = 0;
+  if (isTradingDay(d) && now < sessionClose(d)) count++;
+  while (d < dateStr) {
+    d = addDays(d, 1);
+    if (isTradingDay(d)) count++;
+  }
+  return count;
+}
+
+// Precise time from `now` until the expiration-day close
+export function timeToExpiry(dateStr, now = new Date()) {
+  const expiresAt = sessionClose(dateStr);
+  const ms = Math.max(0, expiresAt.getTime() - now.getTime());
+  return {
+    expiresAt: expiresAt.toISOString(),
+    calendarDays: ms / MS_PER_DAY,
+    years: ms / MS_PER_YEAR,
+    tradingDays: tradingDaysUntil(dateStr, now),
+  };
+}
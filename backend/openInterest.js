@@ -0,0 +1,100 @@
+// Open-interest profile of one expiration: call and put OI and volume by strike, max pain,
+// put/call ratios and estimated dealer gamma exposure (GEX).
+//
+//   maxPain    the listed strike where the intrinsic value of every open contract at expiry
+//              (what holders collect) is smallest
+//   GEX        dollar gamma per 1% move in the underlying: gamma × OI × 100 × spot² × 1%, signed for
+//              the usual dealer assumption (long the calls customers sell, short the puts they buy):
+//              calls +, puts -. Positive net GEX dampens moves, negative amplifies them.
+//   gammaFlip  the price where net GEX summed from the lowest strike up changes sign, interpolated
+//              between strikes; the crossing nearest spot when there are several, null when none
+
+import { resolveVolatilityAndGreeks } from './pricing.js';
+import { CONTRACT_MULTIPLIER } from './strategy.js';
+
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+// Listed strike minimizing the total payout to holders, or null without open interest
+function maxPainStrike(strikes) {
+  let best = null;
+  for (const { strike: settle } of strikes) {
+    const payout = strikes.reduce(
+      (sum, s) =>
+        sum +
+        (s.callOpenInterest * Math.max(0, settle - s.strike) + s.putOpenInterest * Math.max(0, s.strike - settle)) *
+          CONTRACT_MULTIPLIER,
+      0
+    );
+    if (best === null || payout < best.payout) best = { strike: settle, payout };
+  }
+  return best;
+}
+
+// Zero crossing of cumulative net GEX (strikes ascending) nearest `spot`
+function gammaFlipLevel(strikes, spot) {
+  let flip = null;
+  let cumulative = 0;
+  for (let i = 0; i < strikes.length; i++) {
+    const previous = cumulative;
+    cumulative += strikes[i].netGex;
+    if (i === 0 || previous === 0 || Math.sign(previous) === Math.sign(cumulative)) continue;
+    // Linear between the two strikes on the cumulative curve
+    const lo = strikes[i - 1].strike;
+    const level = lo + (strikes[i].strike - lo) * (previous / (previous - cumulative));
+    if (flip === null || Math.abs(level - spot) < Math.abs(flip - spot)) flip = level;
+  }
+  return flip;
+}
+
+// snapshot: Polygon chain snapshot entries for `expirationDate`; t in years
+export function openInterestProfile(snapshot, { spot, expirationDate, t }) {
+  const dollarGammaPerPoint = CONTRACT_MULTIPLIER * spot * spot * 0.01;
+  const byStrike = new Map();
+  for (const option of snapshot) {
+    if (option.details?.expiration_date !== expirationDate) continue;
+    const side = String(option.details.contract_type).toLowerCase();
+    if (side !== 'call' && side !== 'put') continue;
+    const strike = option.details.strike_price;
+    if (!byStrike.has(strike)) {
+      byStrike.set(strike, {
+        strike,
+        callOpenInterest: 0,
+        putOpenInterest: 0,
+        callVolume: 0,
+        putVolume: 0,
+        callGex: 0,
+        putGex: 0,
+        netGex: 0,
+      });
+    }
+    const row = byStrike.get(strike);
+    const openInterest = Number(option.open_interest) || 0;
+    const { gamma } = resolveVolatilityAndGreeks({ option, spot, t });
+    const gex = Number.isFinite(gamma) ? gamma * openInterest * dollarGammaPerPoint : 0;
+    row[`${side}OpenInterest`] += openInterest;
+    row[`${side}Volume`] += Number(option.day?.volume) || 0;
+    row[`${side}Gex`] += side === 'call' ? gex : -gex;
+    row.netGex = row.callGex + row.putGex;
+  }
+  const strikes = [...byStrike.values()].sort((a, b) => a.strike - b.strike);
+
+  const total = (key) => strikes.reduce((sum, s) => sum + s[key], 0);
+  const totals = {
+    callOpenInterest: total('callOpenInterest'),
+    putOpenInterest: total('putOpenInterest'),
+    callVolume: total('callVolume'),
+    putVolume: total('putVolume'),
+    netGex: total('netGex'),
+  };
+  const pain = totals.callOpenInterest + totals.putOpenInterest > 0 ? maxPainStrike(strikes) : null;
+
+  return {
+    strikes,
+    totals,
+    putCallOiRatio: ratio(totals.putOpenInterest, totals.callOpenInterest),
+    putCallVolumeRatio: ratio(totals.putVolume, totals.callVolume),
+    maxPain: pain?.strike ?? null,
+    maxPainPayout: pain?.payout ?? null,
+    gammaFlip: gammaFlipLevel(strikes, spot),
+  };
+}
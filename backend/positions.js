@@ -0,0 +1,291 @@
+// Open option positions (JSON file) and CSV import of broker position exports.
+//
+// A position is { id, ticker (OCC), underlying, contractType, strikePrice, expirationDate,
+// side: 'buy' | 'sell', quantity, entryPrice (per share), entryDate (YYYY-MM-DD), createdAt }.
+// Marking to market happens in server.js, with the same pricing as the chain.
+//
+// File: POSITIONS_FILE (default backend/data/positions.json).
+
+import { randomUUID } from 'node:crypto';
+import path from 'node:path';
+import { createJsonFile, DATA_DIR } from './jsonFile.js';
+import { parseOccTicker, CONTRACT_MULTIPLIER } from './strategy.js';
+
+const DEFAULT_FILE = path.join(DATA_DIR, 'positions.json');
+
+export const MAX_POSITIONS = 500;
+
+const MONTHS = { JAN: 1, FEB: 2, MAR: 3, APR: 4, MAY: 5, JUN: 6, JUL: 7, AUG: 8, SEP: 9, OCT: 10, NOV: 11, DEC: 12 };
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+function occTicker(underlying, year, month, day, cp, strike) {
+  const yy = pad(year % 100);
+  return `O:${underlying}${yy}${pad(month)}${pad(day)}${cp}${pad(Math.round(strike * 1000), 8)}`;
+}
+
+// Option symbol in any of the common broker formats -> OCC ticker (O:AAPL260116C00250000), or null:
+//   O:AAPL260116C00250000       OCC with the Polygon prefix
+//   AAPL  260116C00250000       OSI (IBKR, most clearing firms)
+//   -AAPL260116C250             Fidelity
+//   AAPL 01/16/2026 250.00 C    Schwab / thinkorswim
+//   AAPL Jan 16 2026 250 Call   IBKR descriptions and similar
+export function parseOptionSymbol(raw) {
+  const symbol = String(raw ?? '').trim().toUpperCase();
+  if (!symbol) return null;
+
+  const occ = parseOccTicker(symbol.startsWith('O:') ? symbol : `O:${symbol.replace(/\s+/g, '')}`);
+  if (occ) return occ.ticker;
+
+  let m = /^-?([A-Z][A-Z0-9.]*?)(\d{2})(\d{2})(\d{2})([CP])(\d+(?:\.\d+)?)$/.exec(symbol);
+  if (m) return occTicker(m[1], 2000 + Number(m[2]), Number(m[3]), Number(m[4]), m[5], Number(m[6]));
+
+  m = /^([A-Z][A-Z0-9.]*)\s+(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\s+\$?(\d+(?:\.\d+)?)\s+(C|P|CALL|PUT)$/.exec(symbol);
+  if (m) {
+    const year = m[4].length === 2 ? 2000 + Number(m[4]) : Number(m[4]);
+    return occTicker(m[1], year, Number(m[2]), Number(m[3]), m[6][0], Number(m[5]));
+  }
+
+  m = /^([A-Z][A-Z0-9.]*)\s+([A-Z]{3})\s+(\d{1,2}),?\s+'?(\d{2}|\d{4})\s+\$?(\d+(?:\.\d+)?)\s+(C|P|CALL|PUT)$/.exec(symbol);
+  if (m && MONTHS[m[2]]) {
+    const year = m[4].length === 2 ? 2000 + Number(m[4]) : Number(m[4]);
+    return occTicker(m[1], year, MONTHS[m[2]], Number(m[3]), m[6][0], Number(m[5]));
+  }
+  return null;
+}
+
+// "$1,234.50", "(12.30)", "-1.5" -> number (NaN if not a number)
+function parseNumber(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return NaN;
+  const negative = /^\(.*\)$/.test(text);
+  const n = Number(text.replace(/[$,()\s]/g, ''));
+  return negative ? -n : n;
+}
+
+// YYYY-MM-DD, MM/DD/YYYY or MM/DD/YY -> YYYY-MM-DD, or null
+function parseDate(value) {
+  const text = String(value ?? '').trim();
+  let m = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/.exec(text);
+  if (m) return `${m[3].length === 2 ? `20${m[3]}` : m[3]}-${pad(m[1])}-${pad(m[2])}`;
+  return null;
+}
+
+function parseSide(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (['buy', 'long', 'bto', 'buy to open', 'b'].includes(text)) return 'buy';
+  if (['sell', 'short', 'sto', 'sell to open', 's'].includes(text)) return 'sell';
+  return null;
+}
+
+const todayIso = () => new Date().toISOString().slice(0, 10);
+
+// Validate a position from the API or a CSV row. Returns { position } (without id) or { error }.
+// A missing entry date defaults to today unless `requireEntryDate` (a full replace) is set.
+export function validatePosition(input = {}, { requireEntryDate = false } = {}) {
+  const ticker = parseOptionSymbol(input.ticker);
+  if (!ticker) return { error: `Invalid option ticker: ${input.ticker}` };
+  const side = parseSide(input.side);
+  if (!side) return { error: `Invalid side for ${ticker}: expected "buy" or "sell"` };
+  const quantity = Number(input.quantity);
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    return { error: `Invalid quantity for ${ticker}: expected a positive integer` };
+  }
+  const entryPrice = Number(input.entryPrice);
+  if (!Number.isFinite(entryPrice) || entryPrice < 0) {
+    return { error: `Invalid entry price for ${ticker}: expected a non-negative number` };
+  }
+  const missingEntryDate = input.entryDate == null || input.entryDate === '';
+  if (missingEntryDate && requireEntryDate) return { error: `Missing entry date for ${ticker}` };
+  const entryDate = missingEntryDate ? todayIso() : parseDate(input.entryDate);
+  if (!entryDate) return { error: `Invalid entry date for ${ticker}: expected YYYY-MM-DD` };
+
+  const { underlying, contractType, strikePrice, expirationDate } = parseOccTicker(ticker);
+  return {
+    position: { ticker, underlying, contractType, strikePrice, expirationDate, side, quantity, entryPrice, entryDate },
+  };
+}
+
+// Split CSV text into rows of fields (quoted fields, escaped quotes, CRLF, BOM)
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Header names seen in broker exports (lower-cased, letters and digits only).
+// `priceTotal` columns hold the whole position's cost rather than a per-share price.
+// A bare "Price" is the current quote in some exports (Schwab), so it is only used
+// when there is no cost column at all.
+const COLUMN_ALIASES = {
+  symbol: ['ticker', 'symbol', 'contract', 'optionsymbol', 'occsymbol', 'instrument', 'financialinstrument'],
+  side: ['side', 'action', 'longshort', 'direction', 'buysell'],
+  quantity: ['quantity', 'qty', 'position', 'contracts', 'shares'],
+  price: [
+    'entryprice', 'avgprice', 'averageprice', 'avgcost', 'averagecost', 'costprice',
+    'costbasispershare', 'averagecostbasis', 'costpershare', 'tradeprice', 'openprice',
+  ],
+  priceTotal: ['costbasis', 'costbasistotal', 'totalcost', 'costbasisdollars'],
+  genericPrice: ['price'],
+  date: ['entrydate', 'date', 'opendate', 'tradedate', 'dateacquired', 'acquired', 'opened'],
+};
+
+const normalizeHeader = (h) => String(h).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function mapColumns(header) {
+  const names = header.map(normalizeHeader);
+  const columns = {};
+  for (const [key, aliases] of Object.entries(COLUMN_ALIASES)) {
+    // Earlier aliases win
+    for (const alias of aliases) {
+      const index = names.indexOf(alias);
+      if (index !== -1) {
+        columns[key] = index;
+        break;
+      }
+    }
+  }
+  return columns;
+}
+
+// Parse a broker position export (or our own ticker,side,quantity,entryPrice,entryDate layout).
+// Title lines before the header row are skipped. Stock, cash and total rows are reported in
+// `skipped` rather than failing the import. A negative quantity means short when there is no side column.
+// Returns { positions: [validated positions], skipped: [{ line, reason }] } or { error }.
+export function parsePositionsCsv(text) {
+  const rows = parseCsvRows(text);
+  const headerIndex = rows.findIndex((row) => {
+    const columns = mapColumns(row);
+    return columns.symbol !== undefined && columns.quantity !== undefined;
+  });
+  if (headerIndex === -1) {
+    return { error: 'No header row with a symbol and a quantity column found' };
+  }
+
+  const columns = mapColumns(rows[headerIndex]);
+  if (columns.price === undefined && columns.priceTotal === undefined) {
+    if (columns.genericPrice === undefined) return { error: 'No entry price or cost basis column found' };
+    columns.price = columns.genericPrice;
+  }
+
+  const positions = [];
+  const skipped = [];
+  rows.slice(headerIndex + 1).forEach((row, i) => {
+    const line = headerIndex + i + 2;
+    if (row.every((field) => !field.trim())) return;
+
+    const symbol = row[columns.symbol];
+    const ticker = parseOptionSymbol(symbol);
+    if (!ticker) {
+      skipped.push({ line, reason: `Not an option symbol: ${String(symbol ?? '').trim() || '(empty)'}` });
+      return;
+    }
+
+    const signedQuantity = parseNumber(row[columns.quantity]);
+    const quantity = Math.abs(signedQuantity);
+    const side = columns.side !== undefined && row[columns.side]?.trim() ? row[columns.side] : signedQuantity < 0 ? 'sell' : 'buy';
+
+    let entryPrice = columns.price !== undefined ? Math.abs(parseNumber(row[columns.price])) : NaN;
+    if (!Number.isFinite(entryPrice) && columns.priceTotal !== undefined && quantity > 0) {
+      entryPrice = Math.abs(parseNumber(row[columns.priceTotal])) / (quantity * CONTRACT_MULTIPLIER);
+    }
+
+    const { position, error } = validatePosition({
+      ticker,
+      side,
+      quantity,
+      entryPrice: Number.isFinite(entryPrice) ? Math.round(entryPrice * 10000) / 10000 : entryPrice,
+      entryDate: columns.date !== undefined ? row[columns.date] : undefined,
+    });
+    if (error) skipped.push({ line, reason: error });
+    else positions.push(position);
+  });
+
+  return { positions, skipped };
+}
+
+export function createPositionStore({ file = process.env.POSITIONS_FILE || DEFAULT_FILE } = {}) {
+  const store = createJsonFile(file, () => ({ positions: [] }));
+  let positions = null; // loaded on first use
+
+  async function load() {
+    if (!positions) positions = (await store.read()).positions || [];
+    return positions;
+  }
+
+  const save = () => store.write({ positions });
+
+  return {
+    list: load,
+
+    // Add validated positions (replacing every stored one when `replace` is set).
+    // Returns { added } or { error } when the book would exceed MAX_POSITIONS.
+    async add(validated, { replace = false } = {}) {
+      const all = await load();
+      const kept = replace ? [] : all;
+      if (kept.length + validated.length > MAX_POSITIONS) {
+        return { error: `Too many positions (max ${MAX_POSITIONS})` };
+      }
+      const createdAt = new Date().toISOString();
+      const added = validated.map((p) => ({ id: randomUUID(), ...p, createdAt }));
+      positions = [...kept, ...added];
+      await save();
+      return { added };
+    },
+
+    // Replace a position's fields with a validated copy; null if not found
+    async update(id, validated) {
+      const all = await load();
+      const index = all.findIndex((p) => p.id === id);
+      if (index === -1) return null;
+      all[index] = { ...all[index], ...validated };
+      await save();
+      return all[index];
+    },
+
+    async remove(id) {
+      const all = await load();
+      const index = all.findIndex((p) => p.id === id);
+      if (index === -1) return false;
+      all.splice(index, 1);
+      await save();
+      return true;
+    },
+  };
+}
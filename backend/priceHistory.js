@@ -0,0 +1,41 @@
+// Chart ranges for /api/history: which bars to request from the market-data provider.
+//
+//   1D  5-minute bars for the latest session (including pre-market and after hours)
+//   1W  30-minute bars for the last 7 calendar days
+//   1M  daily bars for the last month
+//   3M  daily bars for the last 3 months
+//   1Y  daily bars for the last year
+
+import { latestSessionDate } from './marketCalendar.js';
+
+export const HISTORY_RANGES = {
+  '1D': { multiplier: 5, timespan: 'minute' },
+  '1W': { multiplier: 30, timespan: 'minute', days: 7 },
+  '1M': { multiplier: 1, timespan: 'day', months: 1 },
+  '3M': { multiplier: 1, timespan: 'day', months: 3 },
+  '1Y': { multiplier: 1, timespan: 'day', months: 12 },
+};
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+// { range, multiplier, timespan, from, to } (dates YYYY-MM-DD, inclusive) or { error }
+export function historyWindow(range, now = new Date()) {
+  const key = String(range || '1M').toUpperCase();
+  const spec = HISTORY_RANGES[key];
+  if (!spec) {
+    return { error: `Invalid range: expected one of ${Object.keys(HISTORY_RANGES).join(', ')}` };
+  }
+
+  const to = latestSessionDate(now);
+  let from = to;
+  if (spec.days) {
+    const start = new Date(`${to}T00:00:00Z`);
+    start.setUTCDate(start.getUTCDate() - spec.days);
+    from = isoDate(start);
+  } else if (spec.months) {
+    const start = new Date(`${to}T00:00:00Z`);
+    start.setUTCMonth(start.getUTCMonth() - spec.months);
+    from = isoDate(start);
+  }
+  return { range: key, multiplier: spec.multiplier, timespan: spec.timespan, from, to };
+}
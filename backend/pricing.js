@@ -0,0 +1,136 @@
+// Black-Scholes pricing, implied-volatility solver and Greeks.
+// Used to fill in values Polygon omits (common on cheaper plans and after hours).
+
+import { normCdf, RISK_FREE_RATE } from './probability.js';
+
+const MIN_VOL = 0.001;
+const MAX_VOL = 5;
+
+function normPdf(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+function isCallType(contractType) {
+  return String(contractType).toLowerCase() === 'call';
+}
+
+function d1d2(spot, strike, sigma, t, r) {
+  const sqrtT = Math.sqrt(t);
+  const d1 = (Math.log(spot / strike) + (r + 0.5 * sigma * sigma) * t) / (sigma * sqrtT);
+  return { d1, d2: d1 - sigma * sqrtT };
+}
+
+function isPositive(x) {
+  return Number.isFinite(x) && x > 0;
+}
+
+// Theoretical option value; at or after expiry this is intrinsic value
+export function blackScholesPrice(contractType, spot, strike, sigma, t, r = RISK_FREE_RATE) {
+  if (!isPositive(spot) || !isPositive(strike)) return null;
+  const call = isCallType(contractType);
+  if (!isPositive(t) || !isPositive(sigma)) {
+    return call ? Math.max(0, spot - strike) : Math.max(0, strike - spot);
+  }
+  const { d1, d2 } = d1d2(spot, strike, sigma, t, r);
+  const discount = Math.exp(-r * t);
+  return call
+    ? spot * normCdf(d1) - strike * discount * normCdf(d2)
+    : strike * discount * normCdf(-d2) - spot * normCdf(-d1);
+}
+
+// Back out volatility from an observed premium by bisection (price is monotonic in sigma).
+// Returns null when the premium is outside the no-arbitrage bounds.
+export function impliedVolatility(contractType, premium, spot, strike, t, r = RISK_FREE_RATE) {
+  if (!isPositive(premium) || !isPositive(spot) || !isPositive(strike) || !isPositive(t)) return null;
+
+  let lo = MIN_VOL;
+  let hi = MAX_VOL;
+  const priceLo = blackScholesPrice(contractType, spot, strike, lo, t, r);
+  const priceHi = blackScholesPrice(contractType, spot, strike, hi, t, r);
+  if (premium < priceLo || premium > priceHi) return null;
+
+  for (let i = 0; i < 100; i++) {
+    const mid = 0.5 * (lo + hi);
+    const price = blackScholesPrice(contractType, spot, strike, mid, t, r);
+    if (Math.abs(price - premium) < 1e-6) return mid;
+    if (price < premium) lo = mid;
+    else hi = mid;
+  }
+  return 0.5 * (lo + hi);
+}
+
+// Greeks in the same units Polygon reports: theta per calendar day,
+// vega and rho per 1 percentage point move in volatility / rates.
+export function computeGreeks(contractType, spot, strike, sigma, t, r = RISK_FREE_RATE) {
+  if (!isPositive(spot) || !isPositive(strike) || !isPositive(sigma) || !isPositive(t)) return null;
+
+  const call = isCallType(contractType);
+  const { d1, d2 } = d1d2(spot, strike, sigma, t, r);
+  const sqrtT = Math.sqrt(t);
+  const discount = Math.exp(-r * t);
+  const pdf = normPdf(d1);
+
+  const delta = call ? normCdf(d1) : normCdf(d1) - 1;
+  const gamma = pdf / (spot * sigma * sqrtT);
+  const decay = -(spot * pdf * sigma) / (2 * sqrtT);
+  const thetaYear = call
+    ? decay - r * strike * discount * normCdf(d2)
+    : decay + r * strike * discount * normCdf(-d2);
+  const vega = (spot * pdf * sqrtT) / 100;
+  const rho = call
+    ? (strike * t * discount * normCdf(d2)) / 100
+    : (-strike * t * discount * normCdf(-d2)) / 100;
+
+  return { delta, gamma, theta: thetaYear / 365, vega, rho };
+}
+
+// Premium to solve IV from: bid/ask midpoint when both sides are quoted, else close
+export function observedPremium(day) {
+  const bid = Number(day?.bid);
+  const ask = Number(day?.ask);
+  if (isPositive(bid) && isPositive(ask) && ask >= bid) return (bid + ask) / 2;
+  const close = Number(day?.close);
+  return isPositive(close) ? close : null;
+}
+
+// Resolve IV and Greeks for a snapshot contract, preferring Polygon's values and
+// computing anything missing locally. Polygon never reports rho, so it is always computed.
+export function resolveVolatilityAndGreeks({ option, spot, t }) {
+  const contractType = option.details.contract_type;
+  const strike = option.details.strike_price;
+
+  let iv = isPositive(option.implied_volatility) ? option.implied_volatility : null;
+  let ivSource = iv !== null ? 'polygon' : null;
+  if (iv === null) {
+    iv = impliedVolatility(contractType, observedPremium(option.day), spot, strike, t);
+    if (iv !== null) ivSource = 'computed';
+  }
+
+  const local = iv !== null ? computeGreeks(contractType, spot, strike, iv, t) : null;
+  const g = option.greeks;
+  const hasPolygonGreeks = g && [g.delta, g.gamma, g.theta, g.vega].every(Number.isFinite) && g.delta !== 0;
+
+  if (hasPolygonGreeks) {
+    return {
+      impliedVolatility: iv,
+      ivSource,
+      delta: g.delta,
+      gamma: g.gamma,
+      theta: g.theta,
+      vega: g.vega,
+      rho: local ? local.rho : null,
+      greeksSource: 'polygon',
+    };
+  }
+
+  return {
+    impliedVolatility: iv,
+    ivSource,
+    delta: local ? local.delta : null,
+    gamma: local ? local.gamma : null,
+    theta: local ? local.theta : null,
+    vega: local ? local.vega : null,
+    rho: local ? local.rho : null,
+    greeksSource: local ? 'computed' : null,
+  };
+}
@@ -0,0 +1,103 @@
+// Lognormal probability model for option contracts.
+// All probabilities are risk-neutral: the underlying drifts at the risk-free rate
+// and diffuses with the contract's implied volatility until expiration.
+
+import { timeToExpiry } from './marketCalendar.js';
+
+export const RISK_FREE_RATE = Number.isFinite(Number(process.env.RISK_FREE_RATE))
+  ? Number(process.env.RISK_FREE_RATE)
+  : 0.04;
+
+// Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26 via erf)
+export function normCdf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const z = Math.abs(x) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * z);
+  const y =
+    1 -
+    (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) *
+      t *
+      Math.exp(-z * z);
+  return 0.5 * (1 + sign * y);
+}
+
+// Years from `now` until the regular-session close on the expiration date (YYYY-MM-DD),
+// DST- and early-close-aware via the market calendar
+export function yearsToExpiry(expirationDate, now = new Date()) {
+  if (!expirationDate) return null;
+  return timeToExpiry(expirationDate, now).years;
+}
+
+function isUsable(spot, level, sigma, t) {
+  return (
+    Number.isFinite(spot) && spot > 0 &&
+    Number.isFinite(level) && level > 0 &&
+    Number.isFinite(sigma) && sigma > 0 &&
+    Number.isFinite(t) && t > 0
+  );
+}
+
+// Probability that the underlying finishes above `level` at expiry
+export function probabilityAbove(spot, level, sigma, t, r = RISK_FREE_RATE) {
+  if (!isUsable(spot, level, sigma, t)) return null;
+  const d2 = (Math.log(spot / level) + (r - 0.5 * sigma * sigma) * t) / (sigma * Math.sqrt(t));
+  return normCdf(d2);
+}
+
+// Probability that the underlying finishes below `level` at expiry
+export function probabilityBelow(spot, level, sigma, t, r = RISK_FREE_RATE) {
+  const above = probabilityAbove(spot, level, sigma, t, r);
+  return above === null ? null : 1 - above;
+}
+
+// Probability that the underlying trades through `level` at any time before expiry
+// (first-passage probability of a Brownian motion with drift).
+export function probabilityTouch(spot, level, sigma, t, r = RISK_FREE_RATE) {
+  if (!isUsable(spot, level, sigma, t)) return null;
+  if (level === spot) return 1;
+
+  const mu = r - 0.5 * sigma * sigma;
+  const sqrtT = sigma * Math.sqrt(t);
+  // Work in log space; flip the sign for barriers below spot so we always test an upper barrier.
+  const direction = level > spot ? 1 : -1;
+  const b = direction * Math.log(level / spot);
+  const m = direction * mu;
+
+  const p =
+    normCdf((-b + m * t) / sqrtT) +
+    Math.exp((2 * m * b) / (sigma * sigma)) * normCdf((-b - m * t) / sqrtT);
+  return Math.min(1, Math.max(0, p));
+}
+
+// Probability fields for a single contract. Probability of profit is measured
+// at the breakeven and flips side for a short (sold) contract.
+export function computeContractProbabilities({
+  action = 'buy',
+  contractType,
+  spot,
+  strike,
+  breakeven,
+  impliedVolatility,
+  expirationDate,
+  now = new Date(),
+}) {
+  const t = yearsToExpiry(expirationDate, now);
+  const isCall = String(contractType).toLowerCase() === 'call';
+
+  const probabilityITM = isCall
+    ? probabilityAbove(spot, strike, impliedVolatility, t)
+    : probabilityBelow(spot, strike, impliedVolatility, t);
+  const longProbabilityOfProfit = isCall
+    ? probabilityAbove(spot, breakeven, impliedVolatility, t)
+    : probabilityBelow(spot, breakeven, impliedVolatility, t);
+  const probabilityOfProfit =
+    action === 'sell' && longProbabilityOfProfit !== null
+      ? 1 - longProbabilityOfProfit
+      : longProbabilityOfProfit;
+
+  return {
+    probabilityITM,
+    probabilityTouch: probabilityTouch(spot, strike, impliedVolatility, t),
+    probabilityOfProfit,
+  };
+}
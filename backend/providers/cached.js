@@ -0,0 +1,110 @@
+// Caching wrapper for any market-data provider.
+//
+// Each data type has its own TTL (contract references change rarely, quotes constantly),
+// and identical concurrent upstream requests are coalesced into one.
+// `session()` returns a provider view that records cache hits/misses so routes can
+// report them in their response.
+
+import { createTtlCache } from '../cache.js';
+
+function ttlFromEnv(name, fallbackMs) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallbackMs;
+}
+
+// Read when a provider is wrapped, not at import, so values from .env apply whatever the load order
+export function defaultTtlMs() {
+  return {
+    quote: ttlFromEnv('CACHE_TTL_QUOTE_MS', 5_000),
+    contracts: ttlFromEnv('CACHE_TTL_CONTRACTS_MS', 6 * 60 * 60 * 1000),
+    chainSnapshot: ttlFromEnv('CACHE_TTL_CHAIN_MS', 15_000),
+    contractSnapshot: ttlFromEnv('CACHE_TTL_CHAIN_MS', 15_000),
+    aggregates: ttlFromEnv('CACHE_TTL_AGGREGATES_MS', 5 * 60 * 1000),
+  };
+}
+
+// Stable cache key from the plain-data arguments (functions are ignored)
+function keyFor(type, args) {
+  const plain = Object.entries(args || {})
+    .filter(([, v]) => v !== undefined && typeof v !== 'function')
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([k, v]) => `${k}=${String(v).toUpperCase()}`);
+  return `${type}|${plain.join('&')}`;
+}
+
+export function withCache(provider, { ttl = defaultTtlMs(), cache = createTtlCache() } = {}) {
+  async function cached(type, args, load, events, options) {
+    const result = await cache.getOrLoad(keyFor(type, args), ttl[type] ?? 0, load, options);
+    if (events) events.push({ type, status: result.status, ageMs: result.ageMs });
+    return result.value;
+  }
+
+  function build(events) {
+    return {
+      name: provider.name,
+
+      getUnderlyingQuote(ticker) {
+        return cached('quote', { ticker }, async () => ({ value: await provider.getUnderlyingQuote(ticker) }), events);
+      },
+
+      listContracts(args) {
+        return cached('contracts', args, async () => ({ value: await provider.listContracts(args) }), events);
+      },
+
+      // An early-stopped (partial) snapshot is only reused by callers whose
+      // own completeness check it satisfies; a full snapshot serves everyone.
+      getChainSnapshot(args) {
+        const { isComplete } = args;
+        return cached(
+          'chainSnapshot',
+          args,
+          async () => {
+            let stoppedEarly = false;
+            const value = await provider.getChainSnapshot({
+              ...args,
+              isComplete: isComplete
+                ? (results) => (stoppedEarly = isComplete(results))
+                : undefined,
+            });
+            return { value, meta: { partial: stoppedEarly } };
+          },
+          events,
+          { accept: (entry) => !entry.meta?.partial || (isComplete ? isComplete(entry.value) : false) }
+        );
+      },
+
+      getContractSnapshot(underlying, optionTicker) {
+        return cached(
+          'contractSnapshot',
+          { underlying, optionTicker },
+          async () => ({ value: await provider.getContractSnapshot(underlying, optionTicker) }),
+          events
+        );
+      },
+
+      getAggregates(args) {
+        return cached('aggregates', args, async () => ({ value: await provider.getAggregates(args) }), events);
+      },
+    };
+  }
+
+  return {
+    ...build(null),
+
+    // Per-request view that records cache activity
+    session() {
+      const events = [];
+      return {
+        ...build(events),
+        cacheSummary() {
+          return {
+            hits: events.filter((e) => e.status === 'hit').length,
+            misses: events.filter((e) => e.status === 'miss').length,
+            coalesced: events.filter((e) => e.status === 'coalesced').length,
+            entries: events,
+          };
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,33 @@
+// Market-data provider selection.
+//
+// Every provider implements the same interface and returns Polygon-shaped data:
+//   getUnderlyingQuote(ticker)                    -> { prevClose, dayClose, lastTrade, source }
+//   listContracts({ underlying, expirationDate?, contractType?, maxPages? })      -> contract references
+//   getChainSnapshot({ underlying, expirationDate?, contractType?, maxPages?, isComplete? }) -> option snapshots
+//   getContractSnapshot(underlying, optionTicker) -> option snapshot
+//   getAggregates({ ticker, multiplier?, timespan?, from, to }) -> [{ t, o, h, l, c, v }]
+//
+// Select with MARKET_DATA_PROVIDER=polygon (default) | replay.
+// The provider is wrapped in a TTL cache (see cached.js) unless MARKET_DATA_CACHE=false.
+
+import { createPolygonProvider } from './polygon.js';
+import { createReplayProvider } from './replay.js';
+import { withCache } from './cached.js';
+
+const factories = {
+  polygon: createPolygonProvider,
+  replay: createReplayProvider,
+};
+
+export function createMarketDataProvider(name = process.env.MARKET_DATA_PROVIDER || 'polygon') {
+  const factory = factories[String(name).toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown MARKET_DATA_PROVIDER "${name}" (expected one of: ${Object.keys(factories).join(', ')})`);
+  }
+  const provider = factory();
+  if (process.env.MARKET_DATA_CACHE === 'false') {
+    // Uncached providers still expose session() so routes don't need to care
+    return { ...provider, session: () => ({ ...provider, cacheSummary: () => null }) };
+  }
+  return withCache(provider);
+}
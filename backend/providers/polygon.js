@@ -0,0 +1,129 @@
+// Polygon.io market-data provider.
+// Results are returned in Polygon's own shapes, which the rest of the backend
+// treats as the canonical format for every provider.
+
+const BASE_URL = 'https://api.polygon.io';
+
+export function createPolygonProvider({ apiKey = process.env.POLYGON_API_KEY } = {}) {
+  function requireKey() {
+    if (!apiKey) throw new Error('API key not configured');
+  }
+
+  // Ensure API key is in the URL (next_url from Polygon doesn't include the API key)
+  function withKey(url) {
+    if (url.includes('apiKey=')) return url;
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}apiKey=${apiKey}`;
+  }
+
+  async function getJson(url, label) {
+    const res = await fetch(withKey(url));
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      throw new Error(`Polygon ${label} error: ${res.status}${text ? ` - ${text}` : ''}`);
+    }
+    return res.json();
+  }
+
+  // Follow next_url cursors. `isComplete(results)` may stop paging early.
+  async function paginate(url, label, { maxPages, isComplete } = {}) {
+    let results = [];
+    let nextUrl = url;
+    let pageCount = 0;
+    while (nextUrl && pageCount < maxPages) {
+      pageCount++;
+      const data = await getJson(nextUrl, label);
+      if (data.results && data.results.length > 0) {
+        results = results.concat(data.results);
+        if (isComplete && isComplete(results)) break;
+      }
+      nextUrl = data.next_url || null;
+    }
+    return results;
+  }
+
+  return {
+    name: 'polygon',
+
+    // { prevClose, dayClose, lastTrade, source }
+    async getUnderlyingQuote(ticker) {
+      requireKey();
+      // Prefer the stock snapshot endpoint because it provides prevDay/day/lastTrade in one call.
+      // https://api.polygon.io/v2/snapshot/locale/us/markets/stocks/tickers/{ticker}
+      const res = await fetch(withKey(`${BASE_URL}/v2/snapshot/locale/us/markets/stocks/tickers/${encodeURIComponent(ticker)}`));
+
+      // Many Polygon plans are not entitled to the snapshot endpoint. If so, fall back to prev close.
+      if (!res.ok) {
+        const text = await res.text().catch(() => '');
+
+        // Fallback: previous day's aggregate close (commonly entitled).
+        // https://api.polygon.io/v2/aggs/ticker/{ticker}/prev
+        const prevRes = await fetch(withKey(`${BASE_URL}/v2/aggs/ticker/${encodeURIComponent(ticker)}/prev`));
+        if (!prevRes.ok) {
+          const prevText = await prevRes.text().catch(() => '');
+          throw new Error(
+            `Polygon underlying error: snapshot ${res.status}${text ? ` - ${text}` : ''}; prev ${prevRes.status}${prevText ? ` - ${prevText}` : ''}`
+          );
+        }
+        const prevData = await prevRes.json();
+        return {
+          prevClose: prevData?.results?.[0]?.c,
+          dayClose: null,
+          lastTrade: null,
+          source: `polygon_prev_v2_fallback_from_snapshot_${res.status}`,
+        };
+      }
+
+      const data = await res.json();
+      const t = data?.ticker;
+      return {
+        prevClose: t?.prevDay?.c,
+        dayClose: t?.day?.c,
+        lastTrade: t?.lastTrade?.p,
+        source: 'polygon_snapshot_v2',
+      };
+    },
+
+    // Contract reference list (all strikes, regardless of activity)
+    async listContracts({ underlying, expirationDate, contractType, maxPages = 1 }) {
+      requireKey();
+      const params = new URLSearchParams({ underlying_ticker: underlying, limit: '1000' });
+      if (expirationDate) params.set('expiration_date', expirationDate);
+      if (contractType) params.set('contract_type', contractType);
+      return paginate(`${BASE_URL}/v3/reference/options/contracts?${params}`, 'contracts', { maxPages });
+    },
+
+    // Chain snapshot (pricing, IV, Greeks), filtered by expiration + type to reduce pagination
+    async getChainSnapshot({ underlying, expirationDate, contractType, maxPages = 30, isComplete }) {
+      requireKey();
+      const params = new URLSearchParams({ limit: '250' });
+      if (expirationDate) params.set('expiration_date', expirationDate);
+      if (contractType) params.set('contract_type', contractType);
+      return paginate(`${BASE_URL}/v3/snapshot/options/${encodeURIComponent(underlying)}?${params}`, 'options snapshot', {
+        maxPages,
+        isComplete,
+      });
+    },
+
+    // Snapshot for a single contract
+    async getContractSnapshot(underlying, optionTicker) {
+      requireKey();
+      // https://api.polygon.io/v3/snapshot/options/{underlyingAsset}/{optionContract}
+      const data = await getJson(
+        `${BASE_URL}/v3/snapshot/options/${encodeURIComponent(underlying)}/${encodeURIComponent(optionTicker)}`,
+        `contract snapshot for ${optionTicker}`
+      );
+      if (!data?.results?.details) {
+        throw new Error(`No snapshot data for ${optionTicker}`);
+      }
+      return data.results;
+    },
+
+    // OHLCV bars: [{ t, o, h, l, c, v }]
+    async getAggregates({ ticker, multiplier = 1, timespan = 'day', from, to }) {
+      requireKey();
+      const url = `${BASE_URL}/v2/aggs/ticker/${encodeURIComponent(ticker)}/range/${multiplier}/${timespan}/${from}/${to}?adjusted=true&sort=asc&limit=50000`;
+      return paginate(url, 'aggregates', { maxPages: 10 });
+    },
+  };
+}
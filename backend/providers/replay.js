@@ -0,0 +1,163 @@
+// File-based replay provider: serves recorded fixtures so the app runs offline.
+//
+// Layout (one directory per underlying, written by `npm run record`):
+//   <dir>/<TICKER>/meta.json              { "recordedAt": "YYYY-MM-DD" }
+//   <dir>/<TICKER>/underlying.json        { prevClose, dayClose, lastTrade }
+//   <dir>/<TICKER>/contracts.json         [...contract references]
+//   <dir>/<TICKER>/snapshot.json          [...option snapshots]
+//   <dir>/<TICKER>/aggregates-<span>.json [...{ t, o, h, l, c, v }] (span: minute | hour | day)
+//
+// Option contracts keep their recorded prices, but by default expiration dates,
+// OCC tickers and bar timestamps are shifted forward by whole weeks so a recording
+// never goes stale (set REPLAY_SHIFT_DATES=false to serve it verbatim).
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const TIMESPAN_MS = { minute: 60_000, hour: 3_600_000, day: MS_PER_DAY, week: 7 * MS_PER_DAY };
+
+function shiftIsoDate(date, days) {
+  if (!days || !date) return date;
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+// O:AAPL260116C00250000 -> same contract with the YYMMDD part shifted
+function shiftOccTicker(ticker, days) {
+  if (!days || !ticker) return ticker;
+  const match = /^(O:[A-Z0-9.]+?)(\d{6})([CP]\d{8})$/.exec(ticker);
+  if (!match) return ticker;
+  const [, root, yymmdd, rest] = match;
+  const shifted = shiftIsoDate(`20${yymmdd.slice(0, 2)}-${yymmdd.slice(2, 4)}-${yymmdd.slice(4, 6)}`, days);
+  return `${root}${shifted.slice(2).replaceAll('-', '')}${rest}`;
+}
+
+export function createReplayProvider({
+  dir = process.env.REPLAY_FIXTURES_DIR || DEFAULT_DIR,
+  shiftDates = process.env.REPLAY_SHIFT_DATES !== 'false',
+  now = () => new Date(),
+} = {}) {
+  const cache = new Map(); // file path -> parsed JSON
+
+  async function load(ticker, file, { optional = false } = {}) {
+    // The ticker names a directory under `dir`, so it must be a single path segment
+    const name = String(ticker).toUpperCase();
+    if (!name || name !== path.basename(name) || name === '.' || name === '..') {
+      throw new Error(`Invalid ticker: ${ticker}`);
+    }
+    const filePath = path.join(dir, name, file);
+    if (!cache.has(filePath)) {
+      try {
+        cache.set(filePath, JSON.parse(await readFile(filePath, 'utf8')));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          if (optional) return null;
+          throw new Error(`No replay fixture for ${ticker}: ${path.relative(process.cwd(), filePath)}`);
+        }
+        throw error;
+      }
+    }
+    return cache.get(filePath);
+  }
+
+  // Whole weeks between the recording date and today (keeps weekdays intact)
+  async function shiftDays(ticker) {
+    if (!shiftDates) return 0;
+    const meta = await load(ticker, 'meta.json', { optional: true });
+    if (!meta?.recordedAt) return 0;
+    const elapsed = Math.floor((now().getTime() - Date.parse(`${meta.recordedAt}T00:00:00Z`)) / MS_PER_DAY);
+    return elapsed > 0 ? Math.floor(elapsed / 7) * 7 : 0;
+  }
+
+  function shiftContract(contract, days) {
+    return {
+      ...contract,
+      ticker: shiftOccTicker(contract.ticker, days),
+      expiration_date: shiftIsoDate(contract.expiration_date, days),
+    };
+  }
+
+  function shiftSnapshot(option, days) {
+    return {
+      ...option,
+      details: {
+        ...option.details,
+        ticker: shiftOccTicker(option.details.ticker, days),
+        expiration_date: shiftIsoDate(option.details.expiration_date, days),
+      },
+    };
+  }
+
+  function matches(value, expected) {
+    return !expected || String(value).toLowerCase() === String(expected).toLowerCase();
+  }
+
+  async function snapshots(underlying) {
+    const days = await shiftDays(underlying);
+    return (await load(underlying, 'snapshot.json')).map((o) => shiftSnapshot(o, days));
+  }
+
+  return {
+    name: 'replay',
+
+    async getUnderlyingQuote(ticker) {
+      const quote = await load(ticker, 'underlying.json');
+      return {
+        prevClose: quote.prevClose ?? null,
+        dayClose: quote.dayClose ?? null,
+        lastTrade: quote.lastTrade ?? null,
+        source: 'replay',
+      };
+    },
+
+    async listContracts({ underlying, expirationDate, contractType }) {
+      const days = await shiftDays(underlying);
+      return (await load(underlying, 'contracts.json'))
+        .map((c) => shiftContract(c, days))
+        .filter((c) => matches(c.expiration_date, expirationDate) && matches(c.contract_type, contractType));
+    },
+
+    async getChainSnapshot({ underlying, expirationDate, contractType }) {
+      return (await snapshots(underlying)).filter(
+        (o) => matches(o.details.expiration_date, expirationDate) && matches(o.details.contract_type, contractType)
+      );
+    },
+
+    async getContractSnapshot(underlying, optionTicker) {
+      const option = (await snapshots(underlying)).find((o) => o.details.ticker === optionTicker);
+      if (!option) throw new Error(`No snapshot data for ${optionTicker}`);
+      return option;
+    },
+
+    // Recorded bars are replayed at their own resolution and merged up to `multiplier`
+    async getAggregates({ ticker, multiplier = 1, timespan = 'day', from, to }) {
+      const bars = await load(ticker, `aggregates-${timespan}.json`, { optional: true });
+      if (!bars) return [];
+      const offsetMs = (await shiftDays(ticker)) * MS_PER_DAY;
+      const fromMs = Date.parse(`${from}T00:00:00Z`);
+      const toMs = Date.parse(`${to}T00:00:00Z`) + MS_PER_DAY;
+      const inRange = bars
+        .map((b) => ({ ...b, t: b.t + offsetMs }))
+        .filter((b) => b.t >= fromMs && b.t < toMs);
+
+      if (multiplier <= 1) return inRange;
+      const bucketMs = multiplier * (TIMESPAN_MS[timespan] || MS_PER_DAY);
+      const buckets = new Map();
+      for (const b of inRange) {
+        const key = Math.floor(b.t / bucketMs) * bucketMs;
+        const agg = buckets.get(key);
+        if (!agg) {
+          buckets.set(key, { ...b, t: key });
+        } else {
+          agg.h = Math.max(agg.h, b.h);
+          agg.l = Math.min(agg.l, b.l);
+          agg.c = b.c;
+          agg.v = (agg.v || 0) + (b.v || 0);
+        }
+      }
+      return [...buckets.values()];
+    },
+  };
+}
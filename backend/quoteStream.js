@@ -0,0 +1,187 @@
+// Live quote feeds for the chain being viewed (one expiration of one underlying).
+//
+// Sources:
+//   poll      - re-reads the underlying quote and chain snapshot from the market-data
+//               provider every interval and emits what changed (freshness is bounded
+//               by the provider cache TTLs)
+//   simulated - loads the chain once, then random-walks the underlying and reprices
+//               every contract with Black-Scholes at its implied volatility. Each tick
+//               advances one simulated trading minute. Works fully offline.
+//
+// Viewers of the same ticker + expiration share one feed; it stops when the last
+// subscriber leaves. Ticks carry the raw provider shapes (quote + option snapshots); a new
+// subscriber is sent the feed's latest quote straight away.
+
+import { blackScholesPrice } from './pricing.js';
+import { yearsToExpiry } from './probability.js';
+
+export const QUOTE_STREAM_SOURCES = ['poll', 'simulated'];
+
+const DEFAULT_INTERVAL_MS = { poll: 5_000, simulated: 1_000 };
+const SIM_MINUTE_YEARS = 1 / (252 * 390);
+
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Fields that matter for display; a contract is re-sent only when one of them moves
+function optionSignature(option) {
+  const day = option.day || {};
+  return [day.bid, day.ask, day.close, day.volume, option.implied_volatility].join('|');
+}
+
+function quoteSignature(quote) {
+  return [quote.prevClose, quote.dayClose, quote.lastTrade].join('|');
+}
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Standard normal draw (Box-Muller)
+function randomNormal() {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+async function loadChain(provider, ticker, expirationDate) {
+  const [quote, options] = await Promise.all([
+    provider.getUnderlyingQuote(ticker),
+    provider.getChainSnapshot({ underlying: ticker, expirationDate, maxPages: 30 }),
+  ]);
+  return { quote, options: options.filter((o) => o.details?.expiration_date === expirationDate) };
+}
+
+// Poll the provider and report changes since the previous read
+function createPollSource(provider, ticker, expirationDate) {
+  const seen = new Map(); // option ticker -> signature
+  let lastQuote = null;
+
+  return async function tick() {
+    const { quote, options } = await loadChain(provider, ticker, expirationDate);
+    const changed = options.filter((o) => {
+      const signature = optionSignature(o);
+      if (seen.get(o.details.ticker) === signature) return false;
+      seen.set(o.details.ticker, signature);
+      return true;
+    });
+    const quoteChanged = quoteSignature(quote) !== lastQuote;
+    lastQuote = quoteSignature(quote);
+    return { quote: quoteChanged ? quote : null, options: changed };
+  };
+}
+
+// Random-walk the recorded/fetched chain
+function createSimulatedSource(provider, ticker, expirationDate, { volatility }) {
+  const sent = new Map(); // option ticker -> signature
+  let base = null;
+  let spot = null;
+
+  return async function tick() {
+    if (!base) {
+      base = await loadChain(provider, ticker, expirationDate);
+      spot = Number(base.quote.lastTrade ?? base.quote.dayClose ?? base.quote.prevClose);
+      if (!Number.isFinite(spot) || spot <= 0) throw new Error(`No underlying price to simulate ${ticker}`);
+    }
+
+    const baseSpot = Number(base.quote.lastTrade ?? base.quote.dayClose ?? base.quote.prevClose);
+    spot = roundCents(spot * Math.exp(volatility * Math.sqrt(SIM_MINUTE_YEARS) * randomNormal()));
+    const t = yearsToExpiry(expirationDate);
+
+    // Shift each contract by its Black-Scholes value change since the base quote,
+    // keeping the recorded bid/ask spread
+    const options = [];
+    for (const option of base.options) {
+      const sigma = Number(option.implied_volatility);
+      const day = option.day || {};
+      const bid = Number(day.bid);
+      const ask = Number(day.ask);
+      const hasQuote = Number.isFinite(bid) && Number.isFinite(ask);
+      const baseMid = hasQuote ? (bid + ask) / 2 : Number(day.close);
+      if (!(sigma > 0) || !Number.isFinite(baseMid) || !(t > 0)) continue;
+
+      const type = option.details.contract_type;
+      const strike = option.details.strike_price;
+      const move = blackScholesPrice(type, spot, strike, sigma, t) - blackScholesPrice(type, baseSpot, strike, sigma, t);
+      const halfSpread = hasQuote ? (ask - bid) / 2 : 0;
+      const mid = Math.max(halfSpread + 0.01, baseMid + move);
+
+      const next = {
+        ...option,
+        day: {
+          ...day,
+          close: roundCents(mid),
+          ...(hasQuote ? { bid: roundCents(mid - halfSpread), ask: roundCents(mid + halfSpread) } : {}),
+        },
+      };
+      const signature = optionSignature(next);
+      if (sent.get(option.details.ticker) !== signature) {
+        sent.set(option.details.ticker, signature);
+        options.push(next);
+      }
+    }
+
+    return { quote: { ...base.quote, lastTrade: spot, source: 'simulated' }, options };
+  };
+}
+
+export function createQuoteHub({
+  provider,
+  source = process.env.QUOTE_STREAM_SOURCE || (provider.name === 'replay' ? 'simulated' : 'poll'),
+  intervalMs = numberFromEnv('QUOTE_STREAM_INTERVAL_MS', DEFAULT_INTERVAL_MS[source]),
+  volatility = numberFromEnv('QUOTE_SIM_VOLATILITY', 0.3),
+} = {}) {
+  if (!QUOTE_STREAM_SOURCES.includes(source)) {
+    throw new Error(`Unknown quote stream source "${source}" (expected one of: ${QUOTE_STREAM_SOURCES.join(', ')})`);
+  }
+
+  const feeds = new Map(); // "TICKER|YYYY-MM-DD" -> { listeners, timer }
+
+  function startFeed(key, ticker, expirationDate) {
+    const tick =
+      source === 'simulated'
+        ? createSimulatedSource(provider, ticker, expirationDate, { volatility })
+        : createPollSource(provider, ticker, expirationDate);
+    const feed = { listeners: new Set(), timer: null, running: false, lastQuote: null };
+
+    const run = async () => {
+      if (feed.running) return; // skip a beat rather than overlap slow upstream calls
+      feed.running = true;
+      try {
+        const update = await tick();
+        if (update.quote) feed.lastQuote = update.quote;
+        if (update.quote || update.options.length > 0) {
+          for (const listener of feed.listeners) listener({ ...update, at: new Date().toISOString() });
+        }
+      } catch (error) {
+        for (const listener of feed.listeners) listener({ error: error.message, at: new Date().toISOString() });
+      } finally {
+        feed.running = false;
+      }
+    };
+
+    feed.timer = setInterval(run, intervalMs);
+    feeds.set(key, feed);
+    return feed;
+  }
+
+  // Register `listener` for ticks on ticker + expirationDate; returns an unsubscribe function
+  function subscribe(ticker, expirationDate, listener) {
+    const key = `${ticker.toUpperCase()}|${expirationDate}`;
+    const feed = feeds.get(key) || startFeed(key, ticker.toUpperCase(), expirationDate);
+    feed.listeners.add(listener);
+    // The poll source only sends the quote when it changes, so a viewer joining a running feed
+    // gets the latest one now rather than after the next move
+    if (feed.lastQuote) listener({ quote: feed.lastQuote, options: [], at: new Date().toISOString() });
+
+    return () => {
+      feed.listeners.delete(listener);
+      if (feed.listeners.size === 0) {
+        clearInterval(feed.timer);
+        feeds.delete(key);
+      }
+    };
+  }
+
+  return { source, intervalMs, subscribe };
+}
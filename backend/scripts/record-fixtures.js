@@ -0,0 +1,60 @@
+// Record replay fixtures for one underlying from the live Polygon provider.
+// Usage: npm run record -- AAPL [maxExpirations]
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import dotenv from 'dotenv';
+import { createPolygonProvider } from '../providers/polygon.js';
+
+dotenv.config();
+
+const [tickerArg, maxExpirationsArg = '6'] = process.argv.slice(2);
+if (!tickerArg) {
+  console.error('Usage: npm run record -- <TICKER> [maxExpirations]');
+  process.exit(1);
+}
+
+const ticker = tickerArg.toUpperCase();
+const maxExpirations = Number(maxExpirationsArg);
+const dir = path.join(
+  process.env.REPLAY_FIXTURES_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures'),
+  ticker
+);
+const provider = createPolygonProvider();
+
+const isoDate = (d) => d.toISOString().slice(0, 10);
+const daysAgo = (n) => isoDate(new Date(Date.now() - n * 24 * 60 * 60 * 1000));
+
+async function write(file, data) {
+  await writeFile(path.join(dir, file), `${JSON.stringify(data, null, 2)}\n`);
+  console.log(`  wrote ${file}${Array.isArray(data) ? ` (${data.length})` : ''}`);
+}
+
+async function main() {
+  await mkdir(dir, { recursive: true });
+  console.log(`Recording ${ticker} into ${dir}`);
+
+  await write('meta.json', { recordedAt: isoDate(new Date()) });
+  await write('underlying.json', await provider.getUnderlyingQuote(ticker));
+
+  const today = isoDate(new Date());
+  const contracts = (await provider.listContracts({ underlying: ticker, maxPages: 100 }))
+    .filter((c) => c.expiration_date >= today);
+  const expirations = [...new Set(contracts.map((c) => c.expiration_date))].sort().slice(0, maxExpirations);
+  await write('contracts.json', contracts.filter((c) => expirations.includes(c.expiration_date)));
+
+  let snapshot = [];
+  for (const expirationDate of expirations) {
+    snapshot = snapshot.concat(await provider.getChainSnapshot({ underlying: ticker, expirationDate }));
+  }
+  await write('snapshot.json', snapshot);
+
+  await write('aggregates-day.json', await provider.getAggregates({ ticker, timespan: 'day', from: daysAgo(400), to: today }));
+  await write('aggregates-minute.json', await provider.getAggregates({ ticker, timespan: 'minute', from: daysAgo(5), to: today }));
+}
+
+main().catch((error) => {
+  console.error('Recording failed:', error.message);
+  process.exit(1);
+});
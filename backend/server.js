@@ -1,11 +1,52 @@
+// Load .env before any other module: imports are evaluated first, and some read settings at load
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import dotenv from 'dotenv';
-
-dotenv.config();
+import { computeContractProbabilities, yearsToExpiry } from './probability.js';
+import { resolveVolatilityAndGreeks } from './pricing.js';
+import { analyzeStrategy, parseOccTicker, CONTRACT_MULTIPLIER } from './strategy.js';
+import { createMarketDataProvider } from './providers/index.js';
+import { getMarketSession, latestSessionDate, timeToExpiry } from './marketCalendar.js';
+import { createQuoteHub } from './quoteStream.js';
+import { createChatTools } from './chatTools.js';
+import { createLlmProvider } from './llm/index.js';
+import { createChatSessionStore, compactHistory, sessionToMarkdown } from './chatSessions.js';
+import { createWatchlistStore, normalizeTicker, MAX_WATCHLIST_TICKERS } from './watchlist.js';
+import { createIvHistoryStore, ivStats } from './ivHistory.js';
+import { createTtlCache } from './cache.js';
+import { realizedVolatility, REALIZED_VOL_LOOKBACK_DAYS } from './volatility.js';
+import { createPositionStore, validatePosition, parsePositionsCsv } from './positions.js';
+import { historyWindow } from './priceHistory.js';
+import { expectedMove } from './expectedMove.js';
+import { volatilitySmile } from './volatilitySmile.js';
+import { termStructure } from './termStructure.js';
+import { openInterestProfile } from './openInterest.js';
+import {
+  expirationCycle,
+  parseExpirationFilters,
+  filterExpirations,
+  atmImpliedVolatilityOf,
+  expirationStats,
+} from './expirations.js';
+import {
+  parseActivityThresholds,
+  activityCandidates,
+  averageDailyVolume,
+  rankUnusualActivity,
+  AVERAGE_VOLUME_LOOKBACK_DAYS,
+} from './unusualActivity.js';
+import { parseStrikeWindow, selectsByPrice, selectStrikesByPrice, applyStrikeWindow } from './strikeWindow.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const marketData = createMarketDataProvider();
+const quoteHub = createQuoteHub({ provider: marketData });
+const llm = createLlmProvider();
+const chatSessions = createChatSessionStore();
+const watchlist = createWatchlistStore();
+const ivHistory = createIvHistoryStore();
+const positions = createPositionStore();
+const MAX_CHAT_TOOL_ROUNDS = 4;
 
 app.use(cors());
 app.use(express.json());
@@ -36,28 +77,6 @@ function chatRateLimit(req, res, next) {
   next();
 }
 
-// Helper function to check if market is open (9:30 AM - 4:00 PM ET, Mon-Fri)
-function isMarketOpen() {
-  const now = new Date();
-  const day = now.getDay(); // 0 = Sunday, 6 = Saturday
-  const hours = now.getHours();
-  const minutes = now.getMinutes();
-
-  // Check if it's a weekday (Monday = 1, Friday = 5)
-  if (day === 0 || day === 6) return false;
-
-  // Convert to ET (approximation - in production, use proper timezone library)
-  // For simplicity, assuming server is in ET or adjust accordingly
-  const timeET = now.toLocaleString('en-US', { timeZone: 'America/New_York' });
-  const etDate = new Date(timeET);
-  const etHours = etDate.getHours();
-  const etMinutes = etDate.getMinutes();
-  const totalMinutes = etHours * 60 + etMinutes;
-
-  // Market hours: 9:30 AM (570 minutes) to 4:00 PM (960 minutes) ET
-  return totalMinutes >= 570 && totalMinutes < 960;
-}
-
 // Get option price for calculations (bid if market open, close as fallback)
 function getOptionPrice(day, marketOpen) {
   if (marketOpen && day.bid !== undefined && day.bid !== null) {
@@ -76,6 +95,34 @@ function calculateBreakevenPut(strikePrice, optionPrice) {
   return strikePrice - optionPrice;
 }
 
+// Max profit/loss (per contract, in dollars) and win condition for a single-leg position.
+// Long positions pay the premium as a debit; short positions receive it as a credit.
+function calculatePositionMetrics({ action, contractType, strikePrice, premium, breakeven, ticker }) {
+  const isCall = contractType.toLowerCase() === 'call';
+  const isSell = action === 'sell';
+  const premiumDollars = premium * CONTRACT_MULTIPLIER;
+  const intrinsicCap = (strikePrice - premium) * CONTRACT_MULTIPLIER; // put payoff when underlying goes to 0
+  const level = `$${breakeven.toFixed(2)}`;
+
+  if (isSell) {
+    return {
+      credit: premium,
+      debit: null,
+      maxProfit: premiumDollars,
+      maxLoss: isCall ? 'unlimited' : intrinsicCap,
+      winCondition: `${ticker} ${isCall ? 'below' : 'above'} ${level} at expiration`,
+    };
+  }
+
+  return {
+    credit: null,
+    debit: premium,
+    maxProfit: isCall ? 'unlimited' : intrinsicCap,
+    maxLoss: premiumDollars,
+    winCondition: `${ticker} ${isCall ? 'above' : 'below'} ${level} at expiration`,
+  };
+}
+
 // Calculate percentage change
 function calculatePercentChange(current, previous) {
   if (!previous || previous === 0) return 0;
@@ -102,57 +149,26 @@ function computeChange(current, base) {
   return { change, changePercent };
 }
 
-async function fetchUnderlying(ticker, apiKey) {
-  // Prefer the stock snapshot endpoint because it provides prevDay/day/lastTrade in one call.
-  // https://api.polygon.io/v2/snapshot/locale/us/markets/stocks/tickers/{ticker}
-  const url = `https://api.polygon.io/v2/snapshot/locale/us/markets/stocks/tickers/${ticker}?apiKey=${apiKey}`;
-  const res = await fetch(url);
-  const marketOpen = isMarketOpen();
-
-  // Many Polygon plans are not entitled to the snapshot endpoint. If so, fall back to prev close.
-  if (!res.ok) {
-    const text = await res.text().catch(() => '');
-
-    // Fallback: previous day's aggregate close (commonly entitled).
-    // https://api.polygon.io/v2/aggs/ticker/{ticker}/prev
-    const prevUrl = `https://api.polygon.io/v2/aggs/ticker/${ticker}/prev?apiKey=${apiKey}`;
-    const prevRes = await fetch(prevUrl);
-    if (!prevRes.ok) {
-      const prevText = await prevRes.text().catch(() => '');
-      throw new Error(
-        `Polygon underlying error: snapshot ${res.status}${text ? ` - ${text}` : ''}; prev ${prevRes.status}${prevText ? ` - ${prevText}` : ''}`
-      );
-    }
-    const prevData = await prevRes.json();
-    const prevClose = safeNumber(prevData?.results?.[0]?.c);
-    return {
-      ticker,
-      marketOpen,
-      prevClose,
-      dayClose: null,
-      lastTrade: null,
-      price: prevClose,
-      todayChange: null,
-      todayChangePercent: null,
-      overnightChange: null,
-      overnightChangePercent: null,
-      source: `polygon_prev_v2_fallback_from_snapshot_${res.status}`,
-    };
-  }
+async function fetchUnderlying(ticker, provider = marketData) {
+  return summarizeUnderlying(ticker, await provider.getUnderlyingQuote(ticker));
+}
 
-  const data = await res.json();
-  const t = data?.ticker;
+// Display price and change breakdown for a raw underlying quote
+function summarizeUnderlying(ticker, quote) {
+  const session = getMarketSession();
+  const marketOpen = session.isOpen;
+  const extendedHours = session.state === 'pre' || session.state === 'post';
 
-  const prevClose = safeNumber(t?.prevDay?.c);
-  const dayClose = safeNumber(t?.day?.c);
-  const lastTrade = safeNumber(t?.lastTrade?.p);
+  const prevClose = safeNumber(quote.prevClose);
+  const dayClose = safeNumber(quote.dayClose);
+  const lastTrade = safeNumber(quote.lastTrade);
 
   // Price heuristic:
-  // - During market hours, prefer lastTrade if available.
-  // - Outside market hours, prefer lastTrade if it differs from dayClose (after-hours), else dayClose.
+  // - During the regular or extended sessions, prefer lastTrade if available.
+  // - When closed (nights, weekends, holidays), prefer lastTrade if it differs from dayClose (after-hours), else dayClose.
   // - Fallback to prevClose.
   let price = null;
-  if (lastTrade !== null && (marketOpen || (dayClose !== null && lastTrade !== dayClose))) {
+  if (lastTrade !== null && (marketOpen || extendedHours || (dayClose !== null && lastTrade !== dayClose))) {
     price = lastTrade;
   } else if (dayClose !== null) {
     price = dayClose;
@@ -169,6 +185,7 @@ async function fetchUnderlying(ticker, apiKey) {
   return {
     ticker,
     marketOpen,
+    session,
     prevClose,
     dayClose,
     lastTrade,
@@ -177,418 +194,1518 @@ async function fetchUnderlying(ticker, apiKey) {
     todayChangePercent: todayMove.changePercent,
     overnightChange: overnightMove.change,
     overnightChangePercent: overnightMove.changePercent,
-    source: 'polygon_snapshot_v2',
+    source: quote.source,
+  };
+}
+
+// Price and enrich one option snapshot for display (position economics follow `action`)
+function enrichOption(option, { ticker, contractType, action, underlying }) {
+  const marketOpen = underlying.marketOpen;
+  const underlyingPrice = underlying.price;
+  const strikePrice = option.details.strike_price;
+  // Use bid if market open for calculations, otherwise close.
+  // For a short position this is the credit received.
+  const optionPrice = getOptionPrice(option.day, marketOpen);
+  // For display: ask price (or close as fallback)
+  const askPrice = option.day.ask !== undefined && option.day.ask !== null
+    ? option.day.ask
+    : option.day.close || 0;
+  const bidPrice = option.day.bid !== undefined && option.day.bid !== null
+    ? option.day.bid
+    : null;
+  const previousClose = option.day.previous_close || 0;
+  const priceChange = optionPrice - previousClose;
+  const percentChange = calculatePercentChange(optionPrice, previousClose);
+
+  // Calculate breakeven based on contract type (using option price for calculations)
+  let breakeven = 0;
+  if (contractType.toLowerCase() === 'call') {
+    breakeven = calculateBreakevenCall(strikePrice, optionPrice);
+  } else {
+    breakeven = calculateBreakevenPut(strikePrice, optionPrice);
+  }
+
+  // Calculate "to breakeven" with underlying price if available
+  let toBreakeven = 0;
+  if (underlyingPrice) {
+    toBreakeven = calculateToBreakeven(underlyingPrice, breakeven);
+  }
+
+  // IV and Greeks from Polygon when present, otherwise solved locally from the quote
+  const greeks = resolveVolatilityAndGreeks({
+    option,
+    spot: underlyingPrice,
+    t: yearsToExpiry(option.details.expiration_date),
+  });
+
+  // Lognormal probabilities driven by the contract's implied volatility
+  const { probabilityITM, probabilityTouch, probabilityOfProfit } = computeContractProbabilities({
+    action,
+    contractType,
+    spot: underlyingPrice,
+    strike: strikePrice,
+    breakeven,
+    impliedVolatility: greeks.impliedVolatility,
+    expirationDate: option.details.expiration_date,
+  });
+
+  const position = calculatePositionMetrics({
+    action,
+    contractType,
+    strikePrice,
+    premium: optionPrice,
+    breakeven,
+    ticker: ticker.toUpperCase(),
+  });
+
+  return {
+    strikePrice,
+    optionPrice,
+    askPrice,
+    bidPrice,
+    breakeven,
+    toBreakeven,
+    probabilityITM,
+    probabilityTouch,
+    probabilityOfProfit,
+    action,
+    ...position,
+    priceChange,
+    percentChange,
+    open: option.day.open || 0,
+    high: option.day.high || 0,
+    low: option.day.low || 0,
+    volume: option.day.volume || 0,
+    openInterest: option.open_interest || 0,
+    impliedVolatility: greeks.impliedVolatility,
+    ivSource: greeks.ivSource,
+    delta: greeks.delta,
+    gamma: greeks.gamma,
+    theta: greeks.theta,
+    vega: greeks.vega,
+    rho: greeks.rho,
+    greeksSource: greeks.greeksSource,
+    ticker: option.details.ticker,
+    expirationDate: option.details.expiration_date,
+    contractType: option.details.contract_type,
   };
 }
 
+// Fetch, price and window one side (call or put) of the chain for an expiration
+async function loadChainSide({ md, ticker, expirationDate, contractType, action, strikeWindow, underlying }) {
+  const marketOpen = underlying.marketOpen;
+  const underlyingPrice = underlying.price;
+
+  // Use the contracts endpoint to get ALL available strikes for this expiration
+  // This gives us all strikes, not just ones with recent activity
+  const contractsResults = await md
+    .listContracts({ underlying: ticker, expirationDate, contractType })
+    .catch((err) => {
+      console.warn('Contract list unavailable, falling back to snapshot filtering:', err.message);
+      return [];
+    });
+
+  let allContracts = [];
+  let filteredOptions = [];
+
+  if (contractsResults.length > 0) {
+    allContracts = contractsResults;
+    const allStrikes = allContracts.map(c => c.strike_price).sort((a, b) => a - b);
+
+    // If we have underlying price and a price-based window, filter to strikes around it
+    if (underlyingPrice && selectsByPrice(strikeWindow)) {
+      const targetStrikes = selectStrikesByPrice(allStrikes, underlyingPrice, strikeWindow);
+
+      // Filter contracts to only those with target strikes
+      allContracts = allContracts.filter(c => targetStrikes.includes(c.strike_price));
+    }
+  }
+
+  // Determine target strikes if we have underlying price, contracts and a price-based window.
+  // Delta and full-chain windows need every snapshot page.
+  let targetStrikesSet = null;
+  if (underlyingPrice && allContracts.length > 0 && selectsByPrice(strikeWindow)) {
+    targetStrikesSet = new Set(allContracts.map(c => c.strike_price));
+  }
+
+  // Now fetch snapshot data (pricing) - filter by expiration + type to reduce pagination.
+  // Paginate through results, but stop early if we have all target strikes
+  const allSnapshotResults = await md.getChainSnapshot({
+    underlying: ticker,
+    expirationDate,
+    contractType,
+    maxPages: 30, // Safety limit to prevent infinite loops (we're already filtered)
+    isComplete: (results) => {
+      if (!targetStrikesSet) return false;
+      const relevantResults = results.filter(opt => {
+        return opt.details.expiration_date === expirationDate &&
+          opt.details.contract_type.toLowerCase() === contractType.toLowerCase() &&
+          targetStrikesSet.has(opt.details.strike_price);
+      });
+
+      const foundStrikes = new Set(relevantResults.map(r => r.details.strike_price));
+      return [...targetStrikesSet].every(s => foundStrikes.has(s));
+    },
+  });
+
+  if (allSnapshotResults.length > 0) {
+    // If we have target contracts from the contracts endpoint, filter by those tickers
+    // Otherwise, fall back to filtering by expiration date and contract type
+    if (allContracts.length > 0) {
+      const targetTickers = new Set(allContracts.map(c => c.ticker));
+
+      filteredOptions = allSnapshotResults.filter(option => {
+        return targetTickers.has(option.details.ticker);
+      });
+    } else {
+      // Fallback: filter by expiration date and contract type
+      filteredOptions = allSnapshotResults.filter(option => {
+        const optionExpiration = option.details.expiration_date;
+        const optionType = option.details.contract_type.toLowerCase();
+
+        return optionExpiration === expirationDate &&
+          optionType === contractType.toLowerCase();
+      });
+    }
+  }
+
+  if (filteredOptions.length === 0) {
+    return [];
+  }
+
+  // Process and enrich option data
+  const enrichedOptions = filteredOptions.map(option =>
+    enrichOption(option, { ticker, contractType, action, underlying })
+  );
+
+  // Sort by strike price descending (highest first)
+  enrichedOptions.sort((a, b) => b.strikePrice - a.strikePrice);
+
+  // Apply the strike window (10 strikes above and 10 below the market price by default)
+  return applyStrikeWindow(enrichedOptions, underlyingPrice, strikeWindow);
+}
+
+// Merge call and put sides into rows keyed by strike (highest strike first)
+function mergeChainRows(calls, puts) {
+  const rows = new Map();
+  for (const [side, options] of [['call', calls], ['put', puts]]) {
+    for (const option of options) {
+      const row = rows.get(option.strikePrice) || { strikePrice: option.strikePrice, call: null, put: null };
+      row[side] = option;
+      rows.set(option.strikePrice, row);
+    }
+  }
+  return [...rows.values()].sort((a, b) => b.strikePrice - a.strikePrice);
+}
+
 // API endpoint to get options chain
 app.get('/api/options', async (req, res) => {
   try {
-    const { ticker, expirationDate, contractType } = req.query;
+    const ticker = normalizeTicker(req.query.ticker);
+    const { expirationDate } = req.query;
+    const contractType = String(req.query.contractType || '').toLowerCase();
+    const action = (req.query.action || 'buy').toLowerCase();
 
-    if (!ticker || !expirationDate || !contractType) {
+    if (!req.query.ticker || !expirationDate || !contractType) {
       return res.status(400).json({
         error: 'Missing required parameters: ticker, expirationDate, contractType'
       });
     }
 
-    const API_KEY = process.env.POLYGON_API_KEY;
-    if (!API_KEY) {
-      return res.status(500).json({ error: 'API key not configured' });
+    if (!ticker) {
+      return res.status(400).json({ error: `Invalid ticker: ${req.query.ticker}` });
+    }
+
+    if (!['call', 'put', 'both'].includes(contractType)) {
+      return res.status(400).json({ error: 'Invalid contractType: expected "call", "put" or "both"' });
     }
 
+    if (action !== 'buy' && action !== 'sell') {
+      return res.status(400).json({ error: 'Invalid action: expected "buy" or "sell"' });
+    }
+
+    // Strike window: by count (default 10 each side), percent from spot, delta range, or all
+    const { window: strikeWindow, error: strikeWindowError } = parseStrikeWindow(req.query);
+    if (strikeWindowError) {
+      return res.status(400).json({ error: strikeWindowError });
+    }
+
+    // Cache-aware view of the market-data provider for this request
+    const md = marketData.session();
+
     // Fetch underlying snapshot (price + today/overnight breakdown)
-    const underlying = await fetchUnderlying(ticker, API_KEY);
+    const underlying = await fetchUnderlying(ticker, md);
     const marketOpen = underlying.marketOpen;
     const underlyingPrice = underlying.price;
 
-    // Use the contracts endpoint to get ALL available strikes for this expiration
-    // This gives us all strikes, not just ones with recent activity
-    const contractsUrl = `https://api.polygon.io/v3/reference/options/contracts?underlying_ticker=${ticker}&expiration_date=${expirationDate}&contract_type=${contractType}&limit=1000&apiKey=${API_KEY}`;
+    // Load each requested side; "both" returns calls and puts side by side per strike
+    const contractTypes = contractType === 'both' ? ['call', 'put'] : [contractType];
+    const sides = await Promise.all(
+      contractTypes.map((type) =>
+        loadChainSide({ md, ticker, expirationDate, contractType: type, action, strikeWindow, underlying })
+      )
+    );
+    const options = sides.flat().sort((a, b) => b.strikePrice - a.strikePrice);
+
+    res.json({
+      options,
+      ...(contractType === 'both' ? { rows: mergeChainRows(sides[0], sides[1]) } : {}),
+      underlyingPrice,
+      underlying,
+      marketOpen,
+      marketSession: underlying.session,
+      contractType,
+      action,
+      strikeWindow,
+      cache: md.cacheSummary(),
+    });
+
+  } catch (error) {
+    console.error('Error fetching options:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    let contractsResponse = await fetch(contractsUrl);
-    let allContracts = [];
-    let filteredOptions = [];
+// Server-sent events: live underlying and per-contract updates for the chain being viewed.
+// Each `quote` event carries { underlying, underlyingPrice, options (changed contracts only), at },
+// with options enriched exactly like /api/options so the client can swap rows in place.
+app.get('/api/stream/quotes', (req, res) => {
+  const ticker = normalizeTicker(req.query.ticker);
+  const { expirationDate } = req.query;
+  const contractType = String(req.query.contractType || 'both').toLowerCase();
+  const action = (req.query.action || 'buy').toLowerCase();
+
+  if (!req.query.ticker || !expirationDate) {
+    return res.status(400).json({ error: 'Missing required parameters: ticker, expirationDate' });
+  }
+  if (!ticker) {
+    return res.status(400).json({ error: `Invalid ticker: ${req.query.ticker}` });
+  }
+  if (!['call', 'put', 'both'].includes(contractType)) {
+    return res.status(400).json({ error: 'Invalid contractType: expected "call", "put" or "both"' });
+  }
+  if (action !== 'buy' && action !== 'sell') {
+    return res.status(400).json({ error: 'Invalid action: expected "buy" or "sell"' });
+  }
 
-    if (contractsResponse.ok) {
-      const contractsData = await contractsResponse.json();
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  send('ready', { source: quoteHub.source, intervalMs: quoteHub.intervalMs });
+
+  let underlying = null;
+  const unsubscribe = quoteHub.subscribe(ticker, expirationDate, (update) => {
+    if (update.error) {
+      send('stream-error', { error: update.error, at: update.at });
+      return;
+    }
+    if (update.quote) underlying = summarizeUnderlying(ticker, update.quote);
+    if (!underlying) return;
+
+    const options = update.options
+      .filter((o) => contractType === 'both' || o.details.contract_type.toLowerCase() === contractType)
+      .map((o) => enrichOption(o, { ticker, contractType: o.details.contract_type.toLowerCase(), action, underlying }));
+
+    send('quote', {
+      underlying: update.quote ? underlying : null,
+      underlyingPrice: underlying.price,
+      options,
+      at: update.at,
+    });
+  });
 
-      if (contractsData.results && contractsData.results.length > 0) {
-        allContracts = contractsData.results;
-        const allStrikes = allContracts.map(c => c.strike_price).sort((a, b) => a - b);
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15_000);
 
-        // If we have underlying price, filter to strikes around it
-        if (underlyingPrice) {
-          const strikesBelow = allStrikes.filter(s => s < underlyingPrice).sort((a, b) => b - a);
-          const strikesAtOrAbove = allStrikes.filter(s => s >= underlyingPrice).sort((a, b) => a - b);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
 
-          const selectedBelow = strikesBelow.slice(0, 10);
-          const selectedAbove = strikesAtOrAbove.slice(0, 10);
-          const targetStrikes = [...selectedBelow, ...selectedAbove].sort((a, b) => a - b);
+// API endpoint for the current market session (pre / regular / post / closed)
+app.get('/api/market-session', (req, res) => {
+  res.json(getMarketSession());
+});
 
-          // Filter contracts to only those with target strikes
-          allContracts = allContracts.filter(c => targetStrikes.includes(c.strike_price));
-        }
-      }
+// API endpoint for OHLCV bars of an underlying or an option contract (O:... ticker)
+// ?ticker=AAPL&range=1D|1W|1M|3M|1Y (default 1M)
+app.get('/api/history', async (req, res) => {
+  try {
+    const raw = String(req.query.ticker || '').trim();
+    if (!raw) {
+      return res.status(400).json({ error: 'Missing required parameter: ticker' });
+    }
+    const contract = raw.toUpperCase().startsWith('O:') ? parseOccTicker(raw) : null;
+    const ticker = contract ? contract.ticker : normalizeTicker(raw);
+    if (!ticker) {
+      return res.status(400).json({ error: `Invalid ticker: ${raw}` });
     }
 
-    // Now fetch snapshot data (pricing) - filter by expiration + type to reduce pagination
-    // The snapshot endpoint uses pagination with next_url cursor
-    const polygonUrl =
-      `https://api.polygon.io/v3/snapshot/options/${ticker}` +
-      `?expiration_date=${encodeURIComponent(expirationDate)}` +
-      `&contract_type=${encodeURIComponent(contractType)}` +
-      `&limit=250` +
-      `&apiKey=${API_KEY}`;
-
-    let allSnapshotResults = [];
-    let nextUrl = polygonUrl;
-    let pageCount = 0;
-    const maxPages = 30; // Safety limit to prevent infinite loops (we're already filtered)
-
-    // Determine target strikes if we have underlying price and contracts
-    let targetStrikesSet = null;
-    if (underlyingPrice && allContracts.length > 0) {
-      const allStrikes = allContracts.map(c => c.strike_price);
-      const strikesBelow = allStrikes.filter(s => s < underlyingPrice).sort((a, b) => b - a);
-      const strikesAtOrAbove = allStrikes.filter(s => s >= underlyingPrice).sort((a, b) => a - b);
-      const selectedBelow = strikesBelow.slice(0, 10);
-      const selectedAbove = strikesAtOrAbove.slice(0, 10);
-      const targetStrikes = [...selectedBelow, ...selectedAbove];
-      targetStrikesSet = new Set(targetStrikes);
-    }
-
-    // Paginate through results, but stop early if we have all target strikes
-    while (nextUrl && pageCount < maxPages) {
-      pageCount++;
-
-      // Ensure API key is in the URL (next_url from Polygon doesn't include the API key)
-      let urlToFetch = nextUrl;
-      if (!urlToFetch.includes('apiKey=')) {
-        const separator = urlToFetch.includes('?') ? '&' : '?';
-        urlToFetch = `${urlToFetch}${separator}apiKey=${API_KEY}`;
-      }
+    const span = historyWindow(req.query.range);
+    if (span.error) {
+      return res.status(400).json({ error: span.error });
+    }
 
-      const response = await fetch(urlToFetch);
+    const md = marketData.session();
+    const bars = await md.getAggregates({
+      ticker,
+      multiplier: span.multiplier,
+      timespan: span.timespan,
+      from: span.from,
+      to: span.to,
+    });
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('Error fetching options snapshot:', errorText);
-        throw new Error(`Polygon API error: ${response.status} - ${errorText}`);
-      }
+    res.json({
+      ticker,
+      kind: contract ? 'option' : 'underlying',
+      ...span,
+      bars: bars.map(({ t, o, h, l, c, v }) => ({ t, o, h, l, c, v: v ?? null })),
+      cache: md.cacheSummary(),
+    });
+  } catch (error) {
+    console.error('Error fetching price history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      const data = await response.json();
+// Every open expiration for `ticker` with trading days and exact time left and its cycle
+// (weekly, monthly, quarterly, leaps); expirations past their close are dropped
+async function listExpirationDates(md, ticker) {
+  // Use the contracts endpoint to get ALL available expiration dates
+  // This endpoint lists all contracts regardless of activity, giving us comprehensive date coverage
+  const contracts = await md.listContracts({
+    underlying: ticker,
+    maxPages: 100, // Paginate through contracts to get all dates
+  });
+
+  // Collect every unique expiration date
+  const expirationDatesSet = new Set();
+  contracts.forEach(contract => {
+    if (contract.expiration_date) {
+      expirationDatesSet.add(contract.expiration_date);
+    }
+  });
 
-      if (data.results && data.results.length > 0) {
-        allSnapshotResults = allSnapshotResults.concat(data.results);
+  if (expirationDatesSet.size === 0) {
+    return [];
+  }
 
-        // Check if we have all target strikes (if we're filtering by target strikes)
-        if (targetStrikesSet) {
-          const relevantResults = allSnapshotResults.filter(opt => {
-            return opt.details.expiration_date === expirationDate &&
-              opt.details.contract_type.toLowerCase() === contractType.toLowerCase() &&
-              targetStrikesSet.has(opt.details.strike_price);
-          });
+  const expirationDates = Array.from(expirationDatesSet).sort();
 
-          const foundStrikes = new Set(relevantResults.map(r => r.details.strike_price));
-          const missingStrikes = [...targetStrikesSet].filter(s => !foundStrikes.has(s));
+  // Format dates; daysUntil counts trading sessions left, including expiration day
+  const now = new Date();
+  const formattedDates = expirationDates.flatMap(date => {
+    const expiry = timeToExpiry(date, now);
+    if (expiry.years <= 0) return [];
+
+    // Parse date string (format: YYYY-MM-DD) and create Date object in UTC to avoid timezone issues
+    const [year, month, day] = date.split('-').map(Number);
+    const expirationDate = new Date(Date.UTC(year, month - 1, day));
+    const calendarDaysUntil = Math.ceil(expiry.calendarDays);
+
+    return [{
+      date,
+      formatted: expirationDate.toLocaleDateString('en-US', {
+        month: 'long',
+        day: 'numeric',
+        year: 'numeric',
+        timeZone: 'UTC'
+      }),
+      daysUntil: expiry.tradingDays,
+      calendarDaysUntil,
+      expiresAt: expiry.expiresAt,
+      timeToExpiryYears: expiry.years,
+      cycle: expirationCycle(date, calendarDaysUntil),
+    }];
+  });
+
+  return formattedDates;
+}
 
-          if (missingStrikes.length === 0) {
-            nextUrl = null; // Stop pagination
-            break;
-          }
-        }
-      }
+// Per-date stats are kept per ticker for CACHE_TTL_EXPIRATION_STATS_MS (default 1 minute): each
+// load pages the whole chain, and the dropdown and term structure ask for them on every ticker visit
+const EXPIRATION_STATS_TTL_MS = Number.isFinite(Number(process.env.CACHE_TTL_EXPIRATION_STATS_MS))
+  ? Number(process.env.CACHE_TTL_EXPIRATION_STATS_MS)
+  : 60 * 1000;
+const expirationStatsCache = createTtlCache();
+
+// Strike count, open interest, volume and ATM IV per expiration date, from the contract list
+// and one snapshot of the whole chain. The snapshot is capped at 100 pages, so on the largest
+// chains the farthest dates come back with `statsComplete: false`.
+async function fetchExpirationStats(md, ticker, price) {
+  const { value } = await expirationStatsCache.getOrLoad(ticker, EXPIRATION_STATS_TTL_MS, async () => {
+    const [contracts, snapshot] = await Promise.all([
+      md.listContracts({ underlying: ticker, maxPages: 100 }),
+      md.getChainSnapshot({ underlying: ticker, maxPages: 100 }),
+    ]);
+    return { value: expirationStats({ contracts, snapshot, spot: price }) };
+  });
+  return value;
+}
 
-      // Check for next page
-      if (data.next_url && nextUrl) {
-        nextUrl = data.next_url;
-      } else {
-        nextUrl = null;
+const EMPTY_EXPIRATION_STATS = { strikeCount: null, openInterest: null, volume: null, atmIv: null, statsComplete: false };
+
+// Dates whose stats are missing or cut short by the snapshot page cap
+const incompleteStatsDates = (dates, stats) => dates.filter((date) => !stats.get(date)?.statsComplete);
+
+// API endpoint to get available expiration dates for a ticker
+// ?ticker=AAPL plus optional minDte, maxDte (calendar days), cycle=weekly,monthly,quarterly,leaps
+// and stats=true for the per-date stats (these page the ticker's whole chain snapshot)
+app.get('/api/expiration-dates', async (req, res) => {
+  try {
+    const ticker = normalizeTicker(req.query.ticker);
+    if (!ticker) {
+      return res.status(400).json({ error: req.query.ticker ? `Invalid ticker: ${req.query.ticker}` : 'Missing required parameter: ticker' });
+    }
+
+    const { filters, error } = parseExpirationFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const md = marketData.session();
+    const expirationDates = filterExpirations(await listExpirationDates(md, ticker), filters);
+
+    // Stats are opt-in extra detail: if the snapshot fails the dates are still returned
+    const withStats = req.query.stats === 'true';
+    let stats = new Map();
+    if (withStats && expirationDates.length > 0) {
+      try {
+        const underlying = await fetchUnderlying(ticker, md);
+        stats = await fetchExpirationStats(md, ticker, underlying.price);
+      } catch (statsError) {
+        console.warn(`Expiration stats unavailable for ${ticker}:`, statsError.message);
       }
     }
 
-    // Use the paginated results
-    let data = { results: allSnapshotResults };
+    res.json({
+      expirationDates: withStats
+        ? expirationDates.map((e) => ({ ...e, ...(stats.get(e.date) || EMPTY_EXPIRATION_STATS) }))
+        : expirationDates,
+      ...(withStats ? { incompleteStats: incompleteStatsDates(expirationDates.map((e) => e.date), stats) } : {}),
+      cache: md.cacheSummary(),
+    });
+
+  } catch (error) {
+    console.error('Error fetching expiration dates:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (data.results && data.results.length > 0) {
-      // If we have target contracts from the contracts endpoint, filter by those tickers
-      // Otherwise, fall back to filtering by expiration date and contract type
-      if (allContracts.length > 0) {
-        const targetTickers = new Set(allContracts.map(c => c.ticker));
+// Expected move (ATM straddle and 1σ) for one expiration, or null when it cannot be priced
+async function fetchExpectedMove(md, ticker, expirationDate, price) {
+  const snapshot = await md.getChainSnapshot({ underlying: ticker, expirationDate, maxPages: 30 });
+  return expectedMove(snapshot, { spot: price, expirationDate, t: yearsToExpiry(expirationDate) });
+}
 
-        filteredOptions = data.results.filter(option => {
-          return targetTickers.has(option.details.ticker);
-        });
-      } else {
-        // Fallback: filter by expiration date and contract type
-        filteredOptions = data.results.filter(option => {
-          const optionExpiration = option.details.expiration_date;
-          const optionType = option.details.contract_type.toLowerCase();
-
-          return optionExpiration === expirationDate &&
-            optionType === contractType.toLowerCase();
-        });
-      }
+// API endpoint for the expected move of every listed expiration (or one, with ?expirationDate=)
+app.get('/api/expected-move', async (req, res) => {
+  try {
+    const ticker = normalizeTicker(req.query.ticker);
+    if (!ticker) {
+      return res.status(400).json({ error: req.query.ticker ? `Invalid ticker: ${req.query.ticker}` : 'Missing required parameter: ticker' });
+    }
+    const { expirationDate } = req.query;
+
+    const md = marketData.session();
+    const underlying = await fetchUnderlying(ticker, md);
+    const listed = await listExpirationDates(md, ticker);
+    const expirations = expirationDate ? listed.filter((e) => e.date === expirationDate) : listed;
+    if (expirationDate && expirations.length === 0) {
+      return res.status(404).json({ error: `No open expiration ${expirationDate} for ${ticker}` });
     }
 
-    if (filteredOptions.length === 0) {
-      return res.json({
-        options: [],
-        underlyingPrice,
-        marketOpen
-      });
+    const moves = await mapWithConcurrency(expirations, 4, async (e) => {
+      const move = await fetchExpectedMove(md, ticker, e.date, underlying.price);
+      return move && { ...move, daysUntil: e.daysUntil, calendarDaysUntil: e.calendarDaysUntil };
+    });
+    res.json({
+      ticker,
+      underlyingPrice: underlying.price,
+      expectedMoves: moves.filter(Boolean),
+      cache: md.cacheSummary(),
+    });
+  } catch (error) {
+    console.error('Error fetching expected move:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The computed term structure is kept per ticker and filter set for CACHE_TTL_TERM_STRUCTURE_MS
+// (default 5 minutes): it needs the whole chain, and ATM IV across expirations moves slowly
+const TERM_STRUCTURE_TTL_MS = Number.isFinite(Number(process.env.CACHE_TTL_TERM_STRUCTURE_MS))
+  ? Number(process.env.CACHE_TTL_TERM_STRUCTURE_MS)
+  : 5 * 60 * 1000;
+const termStructureCache = createTtlCache();
+
+// API endpoint for the ATM IV term structure: every open expiration (filtered like
+// /api/expiration-dates with minDte, maxDte, cycle) with forward vol and a contango/backwardation flag
+app.get('/api/term-structure', async (req, res) => {
+  try {
+    const ticker = normalizeTicker(req.query.ticker);
+    if (!ticker) {
+      return res.status(400).json({ error: req.query.ticker ? `Invalid ticker: ${req.query.ticker}` : 'Missing required parameter: ticker' });
+    }
+    const { filters, error } = parseExpirationFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    // Process and enrich option data
-    const enrichedOptions = filteredOptions.map(option => {
-      const strikePrice = option.details.strike_price;
-      // Use bid if market open for calculations, otherwise close
-      const optionPrice = getOptionPrice(option.day, marketOpen);
-      // For display: ask price (or close as fallback)
-      const askPrice = option.day.ask !== undefined && option.day.ask !== null
-        ? option.day.ask
-        : option.day.close || 0;
-      const bidPrice = option.day.bid !== undefined && option.day.bid !== null
-        ? option.day.bid
-        : null;
-      const previousClose = option.day.previous_close || 0;
-      const priceChange = optionPrice - previousClose;
-      const percentChange = calculatePercentChange(optionPrice, previousClose);
-
-      // Calculate breakeven based on contract type (using option price for calculations)
-      let breakeven = 0;
-      if (contractType.toLowerCase() === 'call') {
-        breakeven = calculateBreakevenCall(strikePrice, optionPrice);
-      } else {
-        breakeven = calculateBreakevenPut(strikePrice, optionPrice);
+    const md = marketData.session();
+    const { value, ageMs } = await termStructureCache.getOrLoad(
+      `${ticker}|${JSON.stringify(filters)}`,
+      TERM_STRUCTURE_TTL_MS,
+      async () => {
+        const underlying = await fetchUnderlying(ticker, md);
+        const [expirations, stats] = await Promise.all([
+          listExpirationDates(md, ticker).then((dates) => filterExpirations(dates, filters)),
+          fetchExpirationStats(md, ticker, underlying.price),
+        ]);
+
+        const structure = termStructure(
+          expirations.map((e) => ({
+            expirationDate: e.date,
+            cycle: e.cycle,
+            daysUntil: e.daysUntil,
+            calendarDaysUntil: e.calendarDaysUntil,
+            timeToExpiryYears: e.timeToExpiryYears,
+            atmIv: stats.get(e.date)?.atmIv ?? null,
+          }))
+        );
+        return {
+          value: {
+            underlyingPrice: underlying.price,
+            ...structure,
+            incompleteStats: incompleteStatsDates(expirations.map((e) => e.date), stats),
+          },
+        };
       }
+    );
+    res.json({ ticker, ...value, ageMs, cache: md.cacheSummary() });
+  } catch (error) {
+    console.error('Error fetching term structure:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      // Calculate "to breakeven" with underlying price if available
-      let toBreakeven = 0;
-      if (underlyingPrice) {
-        toBreakeven = calculateToBreakeven(underlyingPrice, breakeven);
-      }
+// API endpoint for the volatility smile of one expiration: IV by strike and delta for calls and puts,
+// ATM IV and 25-delta risk reversal and butterfly. ?ticker=AAPL&expirationDate=2026-11-20
+app.get('/api/volatility-smile', async (req, res) => {
+  try {
+    const ticker = normalizeTicker(req.query.ticker);
+    const { expirationDate } = req.query;
+    if (!ticker || !expirationDate) {
+      return res.status(400).json({ error: 'Missing required parameters: ticker, expirationDate' });
+    }
 
-      return {
-        strikePrice,
-        optionPrice,
-        askPrice,
-        bidPrice,
-        breakeven,
-        toBreakeven,
-        priceChange,
-        percentChange,
-        open: option.day.open || 0,
-        high: option.day.high || 0,
-        low: option.day.low || 0,
-        volume: option.day.volume || 0,
-        openInterest: option.open_interest || 0,
-        impliedVolatility: option.implied_volatility || 0,
-        delta: option.greeks?.delta || 0,
-        gamma: option.greeks?.gamma || 0,
-        theta: option.greeks?.theta || 0,
-        vega: option.greeks?.vega || 0,
-        ticker: option.details.ticker,
-        expirationDate: option.details.expiration_date,
-        contractType: option.details.contract_type,
-      };
+    const md = marketData.session();
+    const expiration = (await listExpirationDates(md, ticker)).find((e) => e.date === expirationDate);
+    if (!expiration) {
+      return res.status(404).json({ error: `No open expiration ${expirationDate} for ${ticker}` });
+    }
+    const underlying = await fetchUnderlying(ticker, md);
+    const snapshot = await md.getChainSnapshot({ underlying: ticker, expirationDate, maxPages: 30 });
+
+    res.json({
+      ticker,
+      expirationDate,
+      underlyingPrice: underlying.price,
+      daysUntil: expiration.daysUntil,
+      calendarDaysUntil: expiration.calendarDaysUntil,
+      ...volatilitySmile(snapshot, { spot: underlying.price, expirationDate, t: expiration.timeToExpiryYears }),
+      cache: md.cacheSummary(),
     });
+  } catch (error) {
+    console.error('Error fetching volatility smile:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Sort by strike price descending (highest first)
-    enrichedOptions.sort((a, b) => b.strikePrice - a.strikePrice);
-
-    // Filter to show 10 strikes above and 10 strikes below the market price
-    let filteredEnrichedOptions = enrichedOptions;
-    if (underlyingPrice && enrichedOptions.length > 0) {
-      // Check if available strikes are far from market price
-      const minStrike = Math.min(...enrichedOptions.map(o => o.strikePrice));
-      const maxStrike = Math.max(...enrichedOptions.map(o => o.strikePrice));
-      const strikeRange = maxStrike - minStrike;
-      const priceDiff = Math.max(
-        Math.abs(underlyingPrice - minStrike),
-        Math.abs(underlyingPrice - maxStrike)
-      );
+// API endpoint for the open-interest profile of one expiration: OI and volume by strike, max pain,
+// put/call ratios, dealer gamma exposure by strike and the gamma flip. ?ticker=AAPL&expirationDate=2026-11-20
+app.get('/api/open-interest', async (req, res) => {
+  try {
+    const ticker = normalizeTicker(req.query.ticker);
+    const { expirationDate } = req.query;
+    if (!ticker || !expirationDate) {
+      return res.status(400).json({ error: 'Missing required parameters: ticker, expirationDate' });
+    }
+
+    const md = marketData.session();
+    const expiration = (await listExpirationDates(md, ticker)).find((e) => e.date === expirationDate);
+    if (!expiration) {
+      return res.status(404).json({ error: `No open expiration ${expirationDate} for ${ticker}` });
+    }
+    const underlying = await fetchUnderlying(ticker, md);
+    const snapshot = await md.getChainSnapshot({ underlying: ticker, expirationDate, maxPages: 30 });
+
+    res.json({
+      ticker,
+      expirationDate,
+      underlyingPrice: underlying.price,
+      daysUntil: expiration.daysUntil,
+      calendarDaysUntil: expiration.calendarDaysUntil,
+      ...openInterestProfile(snapshot, { spot: underlying.price, expirationDate, t: expiration.timeToExpiryYears }),
+      cache: md.cacheSummary(),
+    });
+  } catch (error) {
+    console.error('Error fetching open interest:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Expiration used as the ticker's ATM IV reference: the one nearest 30 calendar days out,
+// skipping the final week where IV is distorted
+const ATM_IV_TARGET_DAYS = 30;
+const ATM_IV_MIN_DAYS = 7;
+
+// ATM IV per ticker is kept across requests for CACHE_TTL_ATM_IV_MS (default 5 minutes): each lookup
+// pages a chain snapshot, and the watchlist and stock header re-quote far more often than IV moves
+const ATM_IV_TTL_MS = Number.isFinite(Number(process.env.CACHE_TTL_ATM_IV_MS))
+  ? Number(process.env.CACHE_TTL_ATM_IV_MS)
+  : 5 * 60 * 1000;
+const atmIvCache = createTtlCache();
+
+// At-the-money implied volatility: mean of the call and put IV at the strike nearest the price.
+// Returns { atmIv, expirationDate, strike } (atmIv null when no IV could be resolved).
+async function atmImpliedVolatility(md, ticker, price) {
+  const expirations = await listExpirationDates(md, ticker);
+  const candidates = expirations.filter((e) => e.calendarDaysUntil >= ATM_IV_MIN_DAYS);
+  const pool = candidates.length > 0 ? candidates : expirations;
+  if (!price || pool.length === 0) return { atmIv: null, expirationDate: null, strike: null };
+
+  const expiration = pool.reduce((best, e) =>
+    Math.abs(e.calendarDaysUntil - ATM_IV_TARGET_DAYS) < Math.abs(best.calendarDaysUntil - ATM_IV_TARGET_DAYS) ? e : best
+  );
+  const snapshot = (await md.getChainSnapshot({ underlying: ticker, expirationDate: expiration.date, maxPages: 30 }))
+    .filter((o) => o.details?.expiration_date === expiration.date);
+
+  const { atmIv, strike } = atmImpliedVolatilityOf(snapshot, price, yearsToExpiry(expiration.date));
+  return { atmIv, expirationDate: expiration.date, strike };
+}
+
+// ATM IV (cached per ticker) with its 52-week IV rank and percentile; each fresh ATM IV is added to
+// the local IV history. IV problems (no listed options, upstream errors) leave the fields null
+// rather than throwing.
+async function fetchIvStats(md, underlying) {
+  const { ticker } = underlying;
+  let iv = { atmIv: null, expirationDate: null };
+  let fresh = false;
+  try {
+    const result = await atmIvCache.getOrLoad(ticker, ATM_IV_TTL_MS, async () => ({
+      value: await atmImpliedVolatility(md, ticker, underlying.price),
+    }));
+    iv = result.value;
+    fresh = result.status === 'miss';
+  } catch (error) {
+    console.warn(`ATM IV unavailable for ${ticker}:`, error.message);
+  }
+
+  // Samples belong to the latest trading session: on weekends and holidays the chain is still that
+  // session's, so it must not count as a day of its own
+  const sessionDate = latestSessionDate();
+  const points =
+    iv.atmIv !== null && fresh ? await ivHistory.record(ticker, sessionDate, iv.atmIv) : await ivHistory.get(ticker);
+  const stats = ivStats(points, iv.atmIv, sessionDate);
+
+  return {
+    atmIv: iv.atmIv,
+    atmIvExpiration: iv.expirationDate,
+    ivRank: stats.ivRank,
+    ivPercentile: stats.ivPercentile,
+    ivHigh: stats.ivHigh,
+    ivLow: stats.ivLow,
+    ivHistoryDays: stats.samples,
+  };
+}
+
+// Underlying quote plus ATM IV, IV rank and IV percentile
+async function fetchQuoteWithIv(md, ticker) {
+  const underlying = await fetchUnderlying(ticker, md);
+  return { ...underlying, ...(await fetchIvStats(md, underlying)) };
+}
+
+// Realized volatility (10/20/30/60 sessions, close-to-close) next to ATM IV and its rank/percentile.
+// Returns { ticker, price, realizedVolatility: { 10, 20, 30, 60 }, atmIv, ivRank, ivPercentile, ... }.
+async function fetchVolatilitySummary(md, ticker) {
+  const underlying = await fetchUnderlying(ticker, md);
+  const to = underlying.session.date;
+  const from = new Date(Date.parse(`${to}T00:00:00Z`) - REALIZED_VOL_LOOKBACK_DAYS * 24 * 60 * 60 * 1000)
+    .toISOString()
+    .slice(0, 10);
+
+  const [bars, iv] = await Promise.all([
+    md.getAggregates({ ticker, timespan: 'day', from, to }).catch((error) => {
+      console.warn(`Daily bars unavailable for ${ticker}:`, error.message);
+      return [];
+    }),
+    fetchIvStats(md, underlying),
+  ]);
+
+  return {
+    ticker,
+    price: underlying.price,
+    asOf: to,
+    realizedVolatility: realizedVolatility(bars),
+    ...iv,
+  };
+}
 
+// One-paragraph volatility summary for the chat's system context
+function describeVolatility(v) {
+  const pct = (x) => (x == null ? 'n/a' : `${(x * 100).toFixed(1)}%`);
+  const hv = Object.entries(v.realizedVolatility)
+    .map(([days, value]) => `${days}d ${pct(value)}`)
+    .join(', ');
+  return (
+    `Volatility context for ${v.ticker} as of ${v.asOf}: ` +
+    `ATM IV ${pct(v.atmIv)}${v.atmIvExpiration ? ` (${v.atmIvExpiration} expiration)` : ''}; ` +
+    `52-week IV rank ${v.ivRank == null ? 'n/a' : Math.round(v.ivRank * 100)}, ` +
+    `IV percentile ${v.ivPercentile == null ? 'n/a' : Math.round(v.ivPercentile * 100)} ` +
+    `(${v.ivHistoryDays} day${v.ivHistoryDays === 1 ? '' : 's'} of locally recorded IV history); ` +
+    `realized volatility (close-to-close, annualized) ${hv}. ` +
+    'Use IV vs realized volatility and IV rank/percentile when weighing buying against selling premium.'
+  );
+}
 
-      // Separate strikes into those below and above the market price
-      const strikesBelow = enrichedOptions.filter(opt => opt.strikePrice < underlyingPrice);
-      const strikesAtOrAbove = enrichedOptions.filter(opt => opt.strikePrice >= underlyingPrice);
+// API endpoint for realized volatility, ATM IV, IV rank and IV percentile of one underlying
+app.get('/api/volatility', async (req, res) => {
+  try {
+    const ticker = normalizeTicker(req.query.ticker);
+    if (!ticker) {
+      return res.status(400).json({ error: req.query.ticker ? `Invalid ticker: ${req.query.ticker}` : 'Missing required parameter: ticker' });
+    }
+    const md = marketData.session();
+    const summary = await fetchVolatilitySummary(md, ticker);
+    res.json({ ...summary, cache: md.cacheSummary() });
+  } catch (error) {
+    console.error('Error fetching volatility:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      // Sort below strikes descending (highest first) and above strikes ascending (lowest first)
-      strikesBelow.sort((a, b) => b.strikePrice - a.strikePrice);
-      strikesAtOrAbove.sort((a, b) => a.strikePrice - b.strikePrice);
+// Run `fn` over `items` with at most `limit` calls in flight (keeps upstream request bursts small)
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
 
-      // Take up to 10 strikes below market price (closest to market price)
-      const selectedBelow = strikesBelow.slice(0, 10);
-      // Take up to 10 strikes at or above market price (closest to market price)
-      const selectedAbove = strikesAtOrAbove.slice(0, 10);
+// API endpoint for several underlyings at once: ?tickers=AAPL,MSFT,...
+// Each entry has the same price/change breakdown as `underlying` in /api/options plus
+// atmIv, ivRank and ivPercentile, or { ticker, error } if that ticker failed.
+app.get('/api/quotes', async (req, res) => {
+  try {
+    const requested = String(req.query.tickers || '')
+      .split(',')
+      .map((t) => t.trim())
+      .filter(Boolean);
+    if (requested.length === 0) {
+      return res.status(400).json({ error: 'Missing required parameter: tickers' });
+    }
+    const invalid = requested.filter((t) => !normalizeTicker(t));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `Invalid ticker: ${invalid.join(', ')}` });
+    }
+    const tickers = [...new Set(requested.map(normalizeTicker))];
+    if (tickers.length > MAX_WATCHLIST_TICKERS) {
+      return res.status(400).json({ error: `Too many tickers (max ${MAX_WATCHLIST_TICKERS})` });
+    }
+
+    const md = marketData.session();
+    const quotes = await mapWithConcurrency(tickers, 4, (ticker) =>
+      fetchQuoteWithIv(md, ticker).catch((error) => ({ ticker, error: error.message }))
+    );
+    res.json({ quotes, marketSession: getMarketSession(), cache: md.cacheSummary() });
+  } catch (error) {
+    console.error('Error fetching quotes:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unusual-activity scans check at most this many contracts (the most traded) against their own
+// average volume, one daily-bars request each
+const MAX_AVERAGE_VOLUME_LOOKUPS = 40;
+const MAX_UNUSUAL_ACTIVITY_RESULTS = 200;
 
-      // Combine and sort by strike price descending (highest first)
-      filteredEnrichedOptions = [...selectedBelow, ...selectedAbove].sort((a, b) => b.strikePrice - a.strikePrice);
+// API endpoint for unusual options activity across every expiration of a ticker, ranked.
+// ?ticker=AAPL&limit=50 plus optional minVolume, minVolumeOiRatio, minVolumeMultiple, minPremium
+app.get('/api/unusual-activity', async (req, res) => {
+  try {
+    const ticker = normalizeTicker(req.query.ticker);
+    if (!ticker) {
+      return res.status(400).json({ error: req.query.ticker ? `Invalid ticker: ${req.query.ticker}` : 'Missing required parameter: ticker' });
+    }
+    const { thresholds, error } = parseActivityThresholds(req.query);
+    if (error) {
+      return res.status(400).json({ error });
     }
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_UNUSUAL_ACTIVITY_RESULTS) {
+      return res.status(400).json({ error: `Invalid limit: expected 1-${MAX_UNUSUAL_ACTIVITY_RESULTS}` });
+    }
+
+    const md = marketData.session();
+    const underlying = await fetchUnderlying(ticker, md);
+    const asOf = underlying.session.date;
+    const snapshot = (await md.getChainSnapshot({ underlying: ticker, maxPages: 100 }))
+      .filter((o) => o.details?.expiration_date >= asOf);
+    const candidates = activityCandidates(snapshot, thresholds);
+
+    // Contracts without enough daily bars (or whose bars fail) skip the average-volume check
+    const from = new Date(Date.parse(`${asOf}T00:00:00Z`) - AVERAGE_VOLUME_LOOKBACK_DAYS * 24 * 60 * 60 * 1000)
+      .toISOString()
+      .slice(0, 10);
+    const averages = new Map();
+    await mapWithConcurrency(candidates.slice(0, MAX_AVERAGE_VOLUME_LOOKUPS), 4, async (c) => {
+      const bars = await md.getAggregates({ ticker: c.ticker, timespan: 'day', from, to: asOf }).catch((err) => {
+        console.warn(`Daily bars unavailable for ${c.ticker}:`, err.message);
+        return [];
+      });
+      const average = averageDailyVolume(bars, asOf);
+      if (average !== null) averages.set(c.ticker, average);
+    });
 
+    const ranked = rankUnusualActivity(candidates, averages, thresholds);
     res.json({
-      options: filteredEnrichedOptions,
-      underlyingPrice,
-      underlying,
-      marketOpen,
+      ticker,
+      underlyingPrice: underlying.price,
+      asOf,
+      thresholds,
+      scanned: snapshot.length,
+      flagged: ranked.length,
+      contracts: ranked.slice(0, limit),
+      cache: md.cacheSummary(),
     });
+  } catch (error) {
+    console.error('Error scanning unusual activity:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// Watchlist: GET lists the tickers, POST { ticker } adds one, DELETE /:ticker removes one
+app.get('/api/watchlist', async (req, res) => {
+  try {
+    res.json({ tickers: await watchlist.list() });
   } catch (error) {
-    console.error('Error fetching options:', error);
+    console.error('Error reading watchlist:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// API endpoint to get available expiration dates for a ticker
-app.get('/api/expiration-dates', async (req, res) => {
+app.post('/api/watchlist', async (req, res) => {
   try {
-    const { ticker } = req.query;
+    const { tickers, error } = await watchlist.add(req.body?.ticker);
+    if (error) return res.status(400).json({ error });
+    res.json({ tickers });
+  } catch (error) {
+    console.error('Error updating watchlist:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (!ticker) {
-      return res.status(400).json({ error: 'Missing required parameter: ticker' });
-    }
+app.delete('/api/watchlist/:ticker', async (req, res) => {
+  try {
+    const tickers = await watchlist.remove(req.params.ticker);
+    if (!tickers) return res.status(404).json({ error: 'Ticker is not on the watchlist' });
+    res.json({ tickers });
+  } catch (error) {
+    console.error('Error updating watchlist:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const API_KEY = process.env.POLYGON_API_KEY;
-    if (!API_KEY) {
-      return res.status(500).json({ error: 'API key not configured' });
-    }
+// Validate strategy legs ({ ticker, side, quantity }) and payoff horizons.
+// Returns { legs } with parsed OCC fields, or { error }.
+function parseStrategyLegs(legs, horizons = []) {
+  if (!Array.isArray(legs) || legs.length === 0) {
+    return { error: 'Missing required field: legs[]' };
+  }
+  if (legs.length > 8) {
+    return { error: 'Too many legs (max 8)' };
+  }
+  if (!Array.isArray(horizons) || horizons.length > 6) {
+    return { error: 'Invalid horizons: expected up to 6 day offsets' };
+  }
 
-    // Use the contracts endpoint to get ALL available expiration dates
-    // This endpoint lists all contracts regardless of activity, giving us comprehensive date coverage
-    const contractsUrl = `https://api.polygon.io/v3/reference/options/contracts?underlying_ticker=${ticker}&limit=1000&apiKey=${API_KEY}`;
-    let expirationDatesSet = new Set();
-    let nextUrl = contractsUrl;
-    let pageCount = 0;
-    const maxPages = 100; // Paginate through contracts to get all dates
+  const parsedLegs = [];
+  for (const leg of legs) {
+    const parsed = parseOccTicker(leg?.ticker);
+    if (!parsed) {
+      return { error: `Invalid option ticker: ${leg?.ticker}` };
+    }
+    const side = String(leg.side || '').toLowerCase();
+    if (side !== 'buy' && side !== 'sell') {
+      return { error: `Invalid side for ${parsed.ticker}: expected "buy" or "sell"` };
+    }
+    const quantity = Number(leg.quantity ?? 1);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return { error: `Invalid quantity for ${parsed.ticker}: expected a positive integer` };
+    }
+    parsedLegs.push({ ...parsed, side, quantity });
+  }
 
-    // Paginate through all contracts to collect every unique expiration date
-    while (nextUrl && pageCount < maxPages) {
-      pageCount++;
+  if (parsedLegs.some((l) => l.underlying !== parsedLegs[0].underlying)) {
+    return { error: 'All legs must share the same underlying' };
+  }
+  return { legs: parsedLegs };
+}
 
-      let urlToFetch = nextUrl;
-      if (!urlToFetch.includes('apiKey=')) {
-        const separator = urlToFetch.includes('?') ? '&' : '?';
-        urlToFetch = `${urlToFetch}${separator}apiKey=${API_KEY}`;
-      }
+// Price parsed legs from their snapshots and run the strategy analysis.
+// Returns the /api/strategy payload (without cache), or { error } when there is no underlying price.
+async function analyzeStrategyLegs(md, parsedLegs, horizons = []) {
+  const underlyingTicker = parsedLegs[0].underlying;
+  const underlying = await fetchUnderlying(underlyingTicker, md);
+  const underlyingPrice = underlying.price;
+  if (!underlyingPrice) {
+    return { error: `No underlying price available for ${underlyingTicker}` };
+  }
 
-      const response = await fetch(urlToFetch);
+  const snapshots = await Promise.all(
+    parsedLegs.map((l) => md.getContractSnapshot(underlyingTicker, l.ticker))
+  );
+
+  const pricedLegs = parsedLegs.map((leg, i) => {
+    const option = snapshots[i];
+    const premium = getOptionPrice(option.day || {}, underlying.marketOpen);
+    const greeks = resolveVolatilityAndGreeks({
+      option: { ...option, day: option.day || {} },
+      spot: underlyingPrice,
+      t: yearsToExpiry(leg.expirationDate),
+    });
+    return {
+      ...leg,
+      premium,
+      impliedVolatility: greeks.impliedVolatility,
+      ivSource: greeks.ivSource,
+      delta: greeks.delta,
+      gamma: greeks.gamma,
+      theta: greeks.theta,
+      vega: greeks.vega,
+      rho: greeks.rho,
+      greeksSource: greeks.greeksSource,
+    };
+  });
 
-      if (!response.ok) {
-        throw new Error(`Polygon API error: ${response.status}`);
-      }
+  const analysis = analyzeStrategy({ legs: pricedLegs, spot: underlyingPrice, horizons });
 
-      const data = await response.json();
+  return {
+    underlying,
+    underlyingPrice,
+    marketOpen: underlying.marketOpen,
+    marketSession: underlying.session,
+    contractMultiplier: CONTRACT_MULTIPLIER,
+    legs: pricedLegs,
+    ...analysis,
+  };
+}
 
-      if (data.results && data.results.length > 0) {
-        // Extract expiration dates from contracts
-        data.results.forEach(contract => {
-          if (contract.expiration_date) {
-            expirationDatesSet.add(contract.expiration_date);
-          }
-        });
-      }
+// API endpoint to analyze a multi-leg strategy
+// Body: { legs: [{ ticker: 'O:AAPL260116C00250000', side: 'buy' | 'sell', quantity: 1 }], horizons?: [7, 14] }
+app.post('/api/strategy', async (req, res) => {
+  try {
+    const { legs, horizons = [] } = req.body || {};
 
-      if (data.next_url) {
-        nextUrl = data.next_url;
-      } else {
-        nextUrl = null;
-      }
+    const { legs: parsedLegs, error } = parseStrategyLegs(legs, horizons);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    // Use the Set we built during pagination
-    if (expirationDatesSet.size === 0) {
-      return res.json({ expirationDates: [] });
+    const md = marketData.session();
+    const result = await analyzeStrategyLegs(md, parsedLegs, horizons);
+    if (result.error) {
+      return res.status(502).json({ error: result.error });
     }
 
-    const expirationDates = Array.from(expirationDatesSet).sort();
+    res.json({ ...result, cache: md.cacheSummary() });
+  } catch (error) {
+    console.error('Error analyzing strategy:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark for a held position, or null when the contract has no usable price. While the market is
+// open longs are marked at the bid (what closing them fetches) and shorts at the bid/ask midpoint,
+// or the ask without a bid, so short P&L is not overstated; otherwise the last close.
+function positionMarkPrice(day, side, marketOpen) {
+  const positive = (value) => (Number.isFinite(value) && value > 0 ? value : null);
+  const bid = positive(day.bid);
+  const ask = positive(day.ask);
+  if (marketOpen) {
+    if (side === 'sell' && ask !== null) return bid !== null ? (bid + ask) / 2 : ask;
+    if (side !== 'sell' && bid !== null) return bid;
+  }
+  return positive(day.close);
+}
+
+// Mark stored positions to market (positionMarkPrice) with the chain's Greeks.
+// Money fields are dollars for the whole position; Greeks are per position
+// (side x quantity x 100), like the strategy ticket's. A position that cannot be
+// priced keeps its entry fields and carries `error`.
+async function markPositions(md, stored) {
+  const underlyings = new Map();
+  for (const underlyingTicker of new Set(stored.map((p) => p.underlying))) {
+    underlyings.set(underlyingTicker, fetchUnderlying(underlyingTicker, md).catch((error) => ({ error })));
+  }
+
+  const now = new Date();
+  const marked = await mapWithConcurrency(stored, 4, async (position) => {
+    const sign = position.side === 'sell' ? -1 : 1;
+    const size = sign * position.quantity * CONTRACT_MULTIPLIER;
+    const expiry = timeToExpiry(position.expirationDate, now);
+    const base = {
+      ...position,
+      costBasis: size * position.entryPrice,
+      daysToExpiry: Math.ceil(expiry.calendarDays),
+      tradingDaysToExpiry: expiry.tradingDays,
+    };
 
-    // Format dates and calculate days until expiration
-    const formattedDates = expirationDates.map(date => {
-      // Parse date string (format: YYYY-MM-DD) and create Date object in UTC to avoid timezone issues
-      const [year, month, day] = date.split('-').map(Number);
-      const expirationDate = new Date(Date.UTC(year, month - 1, day));
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      today.setUTCHours(0, 0, 0, 0);
-      const daysUntil = Math.ceil((expirationDate - today) / (1000 * 60 * 60 * 24));
+    const underlying = await underlyings.get(position.underlying);
+    if (underlying.error) return { ...base, error: underlying.error.message };
+    try {
+      const option = await md.getContractSnapshot(position.underlying, position.ticker);
+      const day = option.day || {};
+      const markPrice = positionMarkPrice(day, position.side, underlying.marketOpen);
+      if (markPrice === null) return { ...base, error: 'No bid, ask or close to mark this contract at' };
+      const greeks = resolveVolatilityAndGreeks({ option: { ...option, day }, spot: underlying.price, t: expiry.years });
+      const marketValue = size * markPrice;
+      const unrealizedPnl = marketValue - base.costBasis;
+      const scaled = (value) => (Number.isFinite(value) ? size * value : null);
 
       return {
-        date,
-        formatted: expirationDate.toLocaleDateString('en-US', {
-          month: 'long',
-          day: 'numeric',
-          year: 'numeric',
-          timeZone: 'UTC'
-        }),
-        daysUntil,
+        ...base,
+        underlyingPrice: underlying.price,
+        markPrice,
+        marketValue,
+        unrealizedPnl,
+        unrealizedPnlPercent: base.costBasis !== 0 ? (unrealizedPnl / Math.abs(base.costBasis)) * 100 : null,
+        impliedVolatility: greeks.impliedVolatility,
+        delta: scaled(greeks.delta),
+        gamma: scaled(greeks.gamma),
+        theta: scaled(greeks.theta),
+        vega: scaled(greeks.vega),
+        greeksSource: greeks.greeksSource,
       };
-    });
+    } catch (error) {
+      return { ...base, error: error.message };
+    }
+  });
 
-    res.json({ expirationDates: formattedDates });
+  // Totals over the positions that could be priced
+  const priced = marked.filter((p) => !p.error);
+  const sum = (key) => priced.reduce((total, p) => total + (Number.isFinite(p[key]) ? p[key] : 0), 0);
+  const costBasis = sum('costBasis');
+  const unrealizedPnl = sum('unrealizedPnl');
+  return {
+    positions: marked,
+    totals: {
+      positions: marked.length,
+      unpriced: marked.length - priced.length,
+      costBasis,
+      marketValue: sum('marketValue'),
+      unrealizedPnl,
+      unrealizedPnlPercent: costBasis !== 0 ? (unrealizedPnl / Math.abs(costBasis)) * 100 : null,
+      delta: sum('delta'),
+      gamma: sum('gamma'),
+      theta: sum('theta'),
+      vega: sum('vega'),
+    },
+  };
+}
 
+// API endpoint for open positions marked to market, with per-position and total P&L and Greeks
+app.get('/api/positions', async (req, res) => {
+  try {
+    const md = marketData.session();
+    const result = await markPositions(md, await positions.list());
+    res.json({ ...result, marketSession: getMarketSession(), cache: md.cacheSummary() });
   } catch (error) {
-    console.error('Error fetching expiration dates:', error);
+    console.error('Error marking positions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { ticker, side: 'buy' | 'sell', quantity, entryPrice, entryDate? (YYYY-MM-DD, default today) }
+app.post('/api/positions', async (req, res) => {
+  try {
+    const { position, error } = validatePosition(req.body || {});
+    if (error) return res.status(400).json({ error });
+    const result = await positions.add([position]);
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.status(201).json(result.added[0]);
+  } catch (error) {
+    console.error('Error adding position:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import a broker position export (CSV in the request body). ?replace=true swaps out every stored
+// position instead of appending. Rows that are not option positions are returned in `skipped`.
+app.post('/api/positions/import', express.text({ type: () => true, limit: '2mb' }), async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ error: 'Missing CSV body' });
+    }
+    const parsed = parsePositionsCsv(req.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    if (parsed.positions.length === 0) {
+      return res.status(400).json({ error: 'No option positions found in the file', skipped: parsed.skipped });
+    }
+
+    const result = await positions.add(parsed.positions, { replace: req.query.replace === 'true' });
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json({ imported: result.added.length, skipped: parsed.skipped, positions: result.added });
+  } catch (error) {
+    console.error('Error importing positions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: the same fields as POST, all required (entryDate too, since this replaces the whole position)
+app.put('/api/positions/:id', async (req, res) => {
+  try {
+    const { position, error } = validatePosition(req.body || {}, { requireEntryDate: true });
+    if (error) return res.status(400).json({ error });
+    const updated = await positions.update(req.params.id, position);
+    if (!updated) return res.status(404).json({ error: 'Position not found' });
+    res.json(updated);
+  } catch (error) {
+    console.error('Error updating position:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/positions/:id', async (req, res) => {
+  try {
+    if (!(await positions.remove(req.params.id))) {
+      return res.status(404).json({ error: 'Position not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting position:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Chat tools backed by the same code paths as the REST endpoints
+function createChatToolsForRequest(md) {
+  return createChatTools({
+    getUnderlying: (ticker) => fetchUnderlying(ticker, md),
+    listExpirations: (ticker) => listExpirationDates(md, ticker),
+    async getChain({ ticker, expirationDate, contractType, action, strikeCount }) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(String(expirationDate))) {
+        throw new Error('Invalid expirationDate: expected YYYY-MM-DD');
+      }
+      if (!['call', 'put', 'both'].includes(contractType)) {
+        throw new Error('Invalid contractType: expected "call", "put" or "both"');
+      }
+      if (action !== 'buy' && action !== 'sell') {
+        throw new Error('Invalid action: expected "buy" or "sell"');
+      }
+      const { window: strikeWindow } = parseStrikeWindow({ strikeMode: 'count', strikeCount });
+      const underlying = await fetchUnderlying(ticker, md);
+      const contractTypes = contractType === 'both' ? ['call', 'put'] : [contractType];
+      const sides = await Promise.all(
+        contractTypes.map((type) =>
+          loadChainSide({ md, ticker, expirationDate, contractType: type, action, strikeWindow, underlying })
+        )
+      );
+      return { underlying, options: sides.flat().sort((a, b) => b.strikePrice - a.strikePrice) };
+    },
+    async analyzePosition(legs) {
+      const { legs: parsedLegs, error } = parseStrategyLegs(legs);
+      if (error) throw new Error(error);
+      const result = await analyzeStrategyLegs(md, parsedLegs);
+      if (result.error) throw new Error(result.error);
+      return result;
+    },
+  });
+}
+
+// Chat sessions: list (optionally ?ticker=), create, load, rename, delete and export
+app.get('/api/chat/sessions', async (req, res) => {
+  try {
+    res.json({ sessions: await chatSessions.list({ ticker: req.query.ticker }) });
+  } catch (error) {
+    console.error('Error listing chat sessions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/chat/sessions', async (req, res) => {
+  try {
+    const { name, ticker, contract } = req.body || {};
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'Invalid name: expected a non-empty string' });
+    }
+    res.status(201).json(await chatSessions.create({ name: name?.trim(), ticker, contract }));
+  } catch (error) {
+    console.error('Error creating chat session:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/chat/sessions/:id', async (req, res) => {
+  try {
+    const session = await chatSessions.get(req.params.id);
+    if (!session) return res.status(404).json({ error: 'Chat session not found' });
+    res.json(session);
+  } catch (error) {
+    console.error('Error loading chat session:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { name?, ticker?, contract? }
+app.patch('/api/chat/sessions/:id', async (req, res) => {
+  try {
+    const { name, ticker, contract } = req.body || {};
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'Invalid name: expected a non-empty string' });
+    }
+    const session = await chatSessions.update(req.params.id, { name: name?.trim(), ticker, contract });
+    if (!session) return res.status(404).json({ error: 'Chat session not found' });
+    res.json(session);
+  } catch (error) {
+    console.error('Error updating chat session:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+app.delete('/api/chat/sessions/:id', async (req, res) => {
+  try {
+    if (!(await chatSessions.remove(req.params.id))) {
+      return res.status(404).json({ error: 'Chat session not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting chat session:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ?format=markdown (default) | json, sent as a download
+app.get('/api/chat/sessions/:id/export', async (req, res) => {
+  try {
+    const format = String(req.query.format || 'markdown').toLowerCase();
+    if (format !== 'markdown' && format !== 'json') {
+      return res.status(400).json({ error: 'Invalid format: expected "markdown" or "json"' });
+    }
+    const session = await chatSessions.get(req.params.id);
+    if (!session) return res.status(404).json({ error: 'Chat session not found' });
+
+    const baseName = session.name.replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^_+|_+$/g, '') || 'chat';
+    if (format === 'json') {
+      res.attachment(`${baseName}.json`);
+      return res.json(session);
+    }
+    res.attachment(`${baseName}.md`);
+    res.type('text/markdown').send(sessionToMarkdown(session));
+  } catch (error) {
+    console.error('Error exporting chat session:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// LLM provider and the models a chat request may select
+app.get('/api/chat/models', (req, res) => {
+  res.json({ provider: llm.name, defaultModel: llm.defaultModel, models: llm.models });
+});
+
+// Chat with the options assistant. Body: { messages | sessionId + message, ticker?, model?, stream? }.
+// The volatility summary of the session's ticker (or `ticker`) is added to the context.
+// The model may call the tools in chatTools.js; the server runs them and feeds the results back.
+// Without `stream` the response is { content, toolCalls }. With `stream: true` the reply is sent as
+// server-sent events: `delta` { content } per token chunk, `tool` { name, arguments, summary, error }
+// per tool call, then `done` { content, toolCalls } (or `error` { error }).
 app.post('/api/chat', chatRateLimit, async (req, res) => {
   try {
-    const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-    if (!OPENAI_API_KEY) {
-      return res.status(500).json({
-        error: 'OPENAI_API_KEY is not configured on the server.',
-      });
+    const configurationError = llm.configurationError();
+    if (configurationError) {
+      return res.status(500).json({ error: configurationError });
     }
 
-    const model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
-    const { messages } = req.body || {};
+    const { messages, sessionId, message: userMessage, ticker: requestedTicker, model: requestedModel, stream = false } = req.body || {};
 
-    if (!Array.isArray(messages) || messages.length === 0) {
-      return res.status(400).json({ error: 'Missing required field: messages[]' });
+    // Default model, or a per-request pick from the server-side allowlist
+    const { model, error: modelError } = llm.resolveModel(requestedModel);
+    if (modelError) {
+      return res.status(400).json({ error: modelError });
     }
 
-    // Keep payload small and predictable
-    const trimmed = messages
-      .filter((m) => m && typeof m.role === 'string' && typeof m.content === 'string')
-      .slice(-12)
-      .map((m) => ({ role: m.role, content: m.content }));
+    // Stored session: the server holds the history and the client sends only the new message.
+    // Otherwise the client sends the whole conversation in `messages`. The new message is saved
+    // with the reply, so a failed call leaves no unanswered turn to be sent again on retry.
+    let session = null;
+    let userTurn = null;
+    let history;
+    if (sessionId) {
+      if (typeof userMessage !== 'string' || !userMessage.trim()) {
+        return res.status(400).json({ error: 'Missing required field: message' });
+      }
+      session = await chatSessions.get(sessionId);
+      if (!session) {
+        return res.status(404).json({ error: 'Chat session not found' });
+      }
+      userTurn = { role: 'user', content: userMessage, ts: Date.now() };
+      history = [...session.messages, userTurn].map((m) => ({ role: m.role, content: m.content }));
+    } else {
+      if (!Array.isArray(messages) || messages.length === 0) {
+        return res.status(400).json({ error: 'Missing required field: messages[]' });
+      }
+      history = messages
+        .filter((m) => m && (m.role === 'user' || m.role === 'assistant') && typeof m.content === 'string')
+        .map((m) => ({ role: m.role, content: m.content }));
+    }
 
     const system = {
       role: 'system',
       content:
         'You are an options analysis assistant. Be concise, quantify assumptions, and show calculations. ' +
         'Provide a short disclaimer that this is not financial advice. ' +
-        'When asked, compare buy vs sell of the same contract (credit vs debit, win condition, breakeven) and estimate an implied probability using available context.',
+        'When asked, compare buy vs sell of the same contract (credit vs debit, win condition, breakeven) and estimate an implied probability using available context. ' +
+        'Use the tools to look up quotes, expirations, chains and position analysis instead of guessing numbers, and cite the figures they return.' +
+        (session?.ticker ? ` This conversation is about ${session.ticker}${session.contract ? ` (contract ${session.contract})` : ''}.` : ''),
     };
 
-    const openaiRes = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${OPENAI_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model,
-        messages: [system, ...trimmed],
-        temperature: 0.4,
-      }),
+    // Abort the upstream request if the client goes away (e.g. the chat's Stop button)
+    const upstream = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) upstream.abort();
     });
 
-    if (!openaiRes.ok) {
-      const text = await openaiRes.text().catch(() => '');
-      return res.status(502).json({
-        error: `OpenAI error: ${openaiRes.status}${text ? ` - ${text}` : ''}`,
-      });
+    // Server-sent events start lazily so upstream errors before the first token can still be a 502
+    const send = (event, data) => {
+      if (!res.headersSent) {
+        res.set({
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          Connection: 'keep-alive',
+        });
+        res.flushHeaders();
+      }
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const fail = (message) => {
+      if (!stream || !res.headersSent) return res.status(502).json({ error: message });
+      send('error', { error: message });
+      return res.end();
+    };
+
+    // Long conversations: older messages are folded into a running summary instead of dropped
+    let compacted;
+    try {
+      compacted = await compactHistory({ llm, model, messages: history, summary: session?.summary, signal: upstream.signal });
+    } catch (error) {
+      if (error.status === 502) return fail(error.message);
+      throw error;
+    }
+    if (session && compacted.summary !== session.summary) {
+      await chatSessions.setSummary(session.id, compacted.summary);
     }
 
-    const data = await openaiRes.json();
-    const content = data?.choices?.[0]?.message?.content ?? '';
-    return res.json({ content });
+    // Volatility context for the conversation's ticker (the session's, else the one being viewed)
+    const md = marketData.session();
+    const contextTicker = session?.ticker || normalizeTicker(requestedTicker);
+    let volatilityContext = null;
+    if (contextTicker) {
+      try {
+        volatilityContext = describeVolatility(await fetchVolatilitySummary(md, contextTicker));
+      } catch (error) {
+        console.warn(`Volatility context unavailable for ${contextTicker}:`, error.message);
+      }
+    }
+
+    const tools = createChatToolsForRequest(md);
+    const conversation = [
+      system,
+      ...(volatilityContext ? [{ role: 'system', content: volatilityContext }] : []),
+      ...(compacted.summary
+        ? [{ role: 'system', content: `Summary of the earlier conversation:\n${compacted.summary.content}` }]
+        : []),
+      ...compacted.recent,
+    ];
+    const toolCalls = [];
+    let content = '';
+
+    // Let the model call tools until it answers in text (tools are withheld on the last round)
+    for (let round = 0; round <= MAX_CHAT_TOOL_ROUNDS; round++) {
+      // Forward tokens as they arrive; separate text from earlier rounds with a blank line
+      let separated = content === '';
+      let message;
+      try {
+        message = await llm.complete({
+          model,
+          messages: conversation,
+          tools: round < MAX_CHAT_TOOL_ROUNDS ? tools.definitions : undefined,
+          stream,
+          signal: upstream.signal,
+          onDelta: (delta) => {
+            const chunk = separated ? delta : `\n\n${delta}`;
+            separated = true;
+            content += chunk;
+            send('delta', { content: chunk });
+          },
+        });
+      } catch (error) {
+        if (error.status === 502) return fail(error.message);
+        // Keep what the client already saw of a stopped reply
+        if (error.name === 'AbortError' && session && content) {
+          await chatSessions.appendMessages(session.id, [
+            userTurn,
+            { role: 'assistant', content, model, toolCalls, stopped: true },
+          ]);
+        }
+        throw error;
+      }
+      if (!stream && message.content) content += (content ? '\n\n' : '') + message.content;
+
+      if (!message.tool_calls?.length) break;
+
+      conversation.push({ role: 'assistant', content: message.content || null, tool_calls: message.tool_calls });
+      for (const call of message.tool_calls) {
+        const outcome = await tools.run(call.function?.name, call.function?.arguments);
+        const logEntry = { name: outcome.name, arguments: outcome.arguments, summary: outcome.summary, error: outcome.error };
+        toolCalls.push(logEntry);
+        if (stream) send('tool', logEntry);
+        conversation.push({
+          role: 'tool',
+          tool_call_id: call.id,
+          content: JSON.stringify(outcome.error ? { error: outcome.error } : outcome.result),
+        });
+      }
+    }
+
+    if (session) {
+      await chatSessions.appendMessages(session.id, [userTurn, { role: 'assistant', content, model, toolCalls }]);
+    }
+
+    const result = { content, model, toolCalls, sessionId: session?.id ?? null, summarizedMessages: compacted.summary?.messageCount || 0 };
+    if (!stream) {
+      return res.json(result);
+    }
+    send('done', result);
+    return res.end();
   } catch (error) {
+    if (error.name === 'AbortError') return; // client cancelled; nobody is listening
     console.error('Error in /api/chat:', error);
+    if (res.headersSent) {
+      res.write(`event: error\ndata: ${JSON.stringify({ error: error.message })}\n\n`);
+      return res.end();
+    }
     return res.status(500).json({ error: error.message });
   }
 });
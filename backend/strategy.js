@@ -0,0 +1,194 @@
+// Multi-leg strategy analysis: net premium, P&L profile, breakevens,
+// aggregate Greeks and probability of profit.
+//
+// P&L is evaluated at the earliest leg expiration. Legs expiring then are worth
+// intrinsic value; later legs (calendars/diagonals) are repriced with Black-Scholes
+// using their own implied volatility and remaining time.
+
+import { probabilityBelow, yearsToExpiry, RISK_FREE_RATE } from './probability.js';
+import { blackScholesPrice } from './pricing.js';
+
+export const CONTRACT_MULTIPLIER = 100;
+
+const GRID_POINTS = 600;
+const CURVE_POINTS = 121;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Parse an OCC option symbol such as O:AAPL260116C00250000
+export function parseOccTicker(ticker) {
+  const match = /^O:([A-Z0-9.]+?)(\d{2})(\d{2})(\d{2})([CP])(\d{8})$/.exec(String(ticker || '').toUpperCase());
+  if (!match) return null;
+  const [, underlying, yy, mm, dd, cp, strike] = match;
+  return {
+    ticker: String(ticker).toUpperCase(),
+    underlying,
+    expirationDate: `20${yy}-${mm}-${dd}`,
+    contractType: cp === 'C' ? 'call' : 'put',
+    strikePrice: Number(strike) / 1000,
+  };
+}
+
+function legSign(leg) {
+  return leg.side === 'sell' ? -1 : 1;
+}
+
+function intrinsic(contractType, spot, strike) {
+  return contractType === 'call' ? Math.max(0, spot - strike) : Math.max(0, strike - spot);
+}
+
+// Value of one leg per share at underlying price `spot`, `evalYears` from now
+function legValue(leg, spot, evalYears) {
+  const remaining = leg.yearsToExpiry - evalYears;
+  if (remaining <= 1e-9 || !(leg.impliedVolatility > 0)) {
+    return intrinsic(leg.contractType, spot, leg.strikePrice);
+  }
+  return blackScholesPrice(leg.contractType, spot, leg.strikePrice, leg.impliedVolatility, remaining, RISK_FREE_RATE);
+}
+
+// Strategy P&L in dollars at underlying price `spot`, `evalYears` from now
+export function strategyPnl(legs, spot, evalYears) {
+  return legs.reduce((sum, leg) => {
+    const value = legValue(leg, Math.max(spot, 0), evalYears);
+    return sum + legSign(leg) * leg.quantity * CONTRACT_MULTIPLIER * (value - leg.premium);
+  }, 0);
+}
+
+function priceGrid(legs, spot) {
+  const maxStrike = Math.max(...legs.map((l) => l.strikePrice));
+  const upper = Math.max(spot * 3, maxStrike * 2);
+  const points = new Set([0, upper, spot, ...legs.map((l) => l.strikePrice)]);
+  for (let i = 1; i < GRID_POINTS; i++) points.add((upper * i) / GRID_POINTS);
+  return [...points].sort((a, b) => a - b);
+}
+
+function findBreakevens(legs, grid, evalYears) {
+  const breakevens = [];
+  let prevPrice = grid[0];
+  let prevPnl = strategyPnl(legs, prevPrice, evalYears);
+  for (let i = 1; i < grid.length; i++) {
+    const price = grid[i];
+    const pnl = strategyPnl(legs, price, evalYears);
+    if ((prevPnl < 0 && pnl >= 0) || (prevPnl >= 0 && pnl < 0)) {
+      // Refine the sign change by bisection
+      let lo = prevPrice;
+      let hi = price;
+      const loNegative = prevPnl < 0;
+      for (let j = 0; j < 50; j++) {
+        const mid = 0.5 * (lo + hi);
+        const midNegative = strategyPnl(legs, mid, evalYears) < 0;
+        if (midNegative === loNegative) lo = mid;
+        else hi = mid;
+      }
+      breakevens.push(0.5 * (lo + hi));
+    }
+    prevPrice = price;
+    prevPnl = pnl;
+  }
+  return breakevens;
+}
+
+// Probability mass of the profitable regions between consecutive breakevens
+function probabilityOfProfit(legs, spot, breakevens, evalYears, sigma) {
+  if (!(sigma > 0) || !(evalYears > 0)) return null;
+  const bounds = [0, ...breakevens, Infinity];
+  let total = 0;
+  for (let i = 0; i < bounds.length - 1; i++) {
+    const lo = bounds[i];
+    const hi = bounds[i + 1];
+    const probe = Number.isFinite(hi) ? (lo + hi) / 2 : Math.max(lo * 1.5, spot * 1.5);
+    if (strategyPnl(legs, probe, evalYears) <= 0) continue;
+    const cdfHi = Number.isFinite(hi) ? probabilityBelow(spot, hi, sigma, evalYears) : 1;
+    const cdfLo = lo > 0 ? probabilityBelow(spot, lo, sigma, evalYears) : 0;
+    if (cdfHi === null || cdfLo === null) return null;
+    total += cdfHi - cdfLo;
+  }
+  return Math.min(1, Math.max(0, total));
+}
+
+// Resolve expiry times and the evaluation horizon for a set of priced legs
+export function prepareLegs(legs, now = new Date()) {
+  return legs.map((leg) => ({ ...leg, yearsToExpiry: yearsToExpiry(leg.expirationDate, now) }));
+}
+
+export function evaluationYears(legs) {
+  return Math.min(...legs.map((l) => l.yearsToExpiry));
+}
+
+function averageVolatility(legs) {
+  const ivs = legs.map((l) => l.impliedVolatility).filter((v) => v > 0);
+  return ivs.length > 0 ? ivs.reduce((a, b) => a + b, 0) / ivs.length : null;
+}
+
+// P&L curves over a price window around spot: at expiration, today, and at each
+// requested T+n day horizon (repriced with Black-Scholes). Horizons at or past the
+// evaluation date are dropped since the expiration curve already covers them.
+export function buildPayoffCurves(legs, spot, { horizons = [], sigma, now = new Date() } = {}) {
+  const evalYears = evaluationYears(legs);
+  const strikes = legs.map((l) => l.strikePrice);
+  const spread = Math.min(0.8, Math.max(0.1, 2.5 * (sigma || 0.3) * Math.sqrt(Math.max(evalYears, 1 / 365))));
+  const lo = Math.max(0.01, Math.min(spot * (1 - spread), Math.min(...strikes) * 0.95));
+  const hi = Math.max(spot * (1 + spread), Math.max(...strikes) * 1.05);
+  const prices = Array.from({ length: CURVE_POINTS }, (_, i) => lo + ((hi - lo) * i) / (CURVE_POINTS - 1));
+
+  const toDate = (years) => new Date(now.getTime() + years * 365 * MS_PER_DAY).toISOString().slice(0, 10);
+  const curve = (label, years) => ({
+    label,
+    date: toDate(years),
+    daysFromNow: Math.round(years * 365),
+    pnl: prices.map((p) => strategyPnl(legs, p, years)),
+  });
+
+  const curves = [curve('Expiration', evalYears)];
+  if (evalYears > 0) curves.push(curve('Today', 0));
+  [...new Set(horizons.map(Number))]
+    .filter((days) => Number.isFinite(days) && days > 0 && days / 365 < evalYears)
+    .sort((a, b) => a - b)
+    .forEach((days) => curves.push(curve(`T+${days}`, days / 365)));
+
+  return { prices, curves };
+}
+
+// Full analysis for priced legs. Each leg needs: contractType, strikePrice, expirationDate,
+// side ('buy' | 'sell'), quantity, premium (per share), impliedVolatility and per-contract Greeks.
+// `horizons` lists extra T+n day offsets for the payoff curves.
+export function analyzeStrategy({ legs: rawLegs, spot, horizons = [], now = new Date() }) {
+  const legs = prepareLegs(rawLegs, now);
+  const evalYears = evaluationYears(legs);
+  const grid = priceGrid(legs, spot);
+
+  // Positive = debit paid, negative = credit received (dollars)
+  const netPremium = legs.reduce(
+    (sum, leg) => sum + legSign(leg) * leg.quantity * CONTRACT_MULTIPLIER * leg.premium,
+    0
+  );
+
+  const pnls = grid.map((price) => strategyPnl(legs, price, evalYears));
+  const upper = grid[grid.length - 1];
+  const slope = (strategyPnl(legs, upper * 2, evalYears) - strategyPnl(legs, upper, evalYears)) / upper;
+
+  const maxProfit = slope > 0.5 ? 'unlimited' : Math.max(...pnls);
+  const maxLoss = slope < -0.5 ? 'unlimited' : Math.min(...pnls);
+  const breakevens = findBreakevens(legs, grid, evalYears);
+
+  const greeks = ['delta', 'gamma', 'theta', 'vega', 'rho'].reduce((acc, key) => {
+    const values = legs.map((l) => l[key]);
+    acc[key] = values.every(Number.isFinite)
+      ? legs.reduce((sum, l) => sum + legSign(l) * l.quantity * CONTRACT_MULTIPLIER * l[key], 0)
+      : null;
+    return acc;
+  }, {});
+
+  const sigma = averageVolatility(legs);
+
+  return {
+    netPremium: Math.abs(netPremium),
+    netType: netPremium > 0 ? 'debit' : netPremium < 0 ? 'credit' : 'even',
+    maxProfit: maxProfit === 'unlimited' ? maxProfit : Math.max(0, maxProfit),
+    maxLoss: maxLoss === 'unlimited' ? maxLoss : Math.max(0, -maxLoss),
+    breakevens,
+    greeks,
+    probabilityOfProfit: probabilityOfProfit(legs, spot, breakevens, evalYears, sigma),
+    evaluationDate: legs.reduce((d, l) => (l.expirationDate < d ? l.expirationDate : d), legs[0].expirationDate),
+    payoff: buildPayoffCurves(legs, spot, { horizons, sigma, now }),
+  };
+}
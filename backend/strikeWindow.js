@@ -0,0 +1,79 @@
+// Strike window selection for /api/options.
+//
+// Modes:
+//   count   - N strikes below and N at/above spot (default, N = 10)
+//   percent - strikes within ±P% of spot
+//   delta   - contracts whose |delta| lies in [deltaMin, deltaMax] (needs the full snapshot)
+//   all     - the full chain
+
+export const STRIKE_MODES = ['count', 'percent', 'delta', 'all'];
+
+const DEFAULT_WINDOW = { mode: 'count', count: 10, percent: 10, deltaMin: 0.1, deltaMax: 0.5 };
+
+// Parse query parameters into a window. Returns { window } or { error }.
+export function parseStrikeWindow(query = {}) {
+  const mode = String(query.strikeMode || DEFAULT_WINDOW.mode).toLowerCase();
+  if (!STRIKE_MODES.includes(mode)) {
+    return { error: `Invalid strikeMode: expected one of ${STRIKE_MODES.join(', ')}` };
+  }
+
+  const num = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+  const window = {
+    mode,
+    count: num(query.strikeCount, DEFAULT_WINDOW.count),
+    percent: num(query.strikePercent, DEFAULT_WINDOW.percent),
+    deltaMin: num(query.deltaMin, DEFAULT_WINDOW.deltaMin),
+    deltaMax: num(query.deltaMax, DEFAULT_WINDOW.deltaMax),
+  };
+
+  if (mode === 'count' && (!Number.isInteger(window.count) || window.count < 1 || window.count > 200)) {
+    return { error: 'Invalid strikeCount: expected an integer between 1 and 200' };
+  }
+  if (mode === 'percent' && !(window.percent > 0 && window.percent <= 100)) {
+    return { error: 'Invalid strikePercent: expected a number between 0 and 100' };
+  }
+  if (
+    mode === 'delta' &&
+    !(window.deltaMin >= 0 && window.deltaMax <= 1 && window.deltaMin < window.deltaMax)
+  ) {
+    return { error: 'Invalid delta range: expected 0 <= deltaMin < deltaMax <= 1' };
+  }
+
+  return { window };
+}
+
+// Whether the window can be resolved from strikes alone (before pricing data is known)
+export function selectsByPrice(window) {
+  return window.mode === 'count' || window.mode === 'percent';
+}
+
+// Strikes to keep for a price-based window; `strikes` need not be sorted or unique
+export function selectStrikesByPrice(strikes, spot, window) {
+  const unique = [...new Set(strikes)];
+  if (!spot || !selectsByPrice(window)) return unique;
+
+  if (window.mode === 'percent') {
+    const lo = spot * (1 - window.percent / 100);
+    const hi = spot * (1 + window.percent / 100);
+    return unique.filter((s) => s >= lo && s <= hi);
+  }
+
+  // Closest strikes first on each side of spot
+  const strikesBelow = unique.filter((s) => s < spot).sort((a, b) => b - a);
+  const strikesAtOrAbove = unique.filter((s) => s >= spot).sort((a, b) => a - b);
+  return [...strikesBelow.slice(0, window.count), ...strikesAtOrAbove.slice(0, window.count)];
+}
+
+// Apply the window to enriched options (strikePrice / delta fields)
+export function applyStrikeWindow(options, spot, window) {
+  if (window.mode === 'all') return options;
+  if (window.mode === 'delta') {
+    return options.filter((o) => {
+      const d = Math.abs(Number(o.delta));
+      return o.delta != null && Number.isFinite(d) && d >= window.deltaMin && d <= window.deltaMax;
+    });
+  }
+  if (!spot) return options;
+  const keep = new Set(selectStrikesByPrice(options.map((o) => o.strikePrice), spot, window));
+  return options.filter((o) => keep.has(o.strikePrice));
+}
@@ -0,0 +1,53 @@
+// Implied volatility term structure: ATM IV per expiration against time to expiry.
+//
+//   shape              contango (back IV above front), backwardation (below) or flat, front vs back
+//   forwardVolatility  IV implied between the previous expiration and this one:
+//                      sqrt((iv2² t2 - iv1² t1) / (t2 - t1)); null when total variance falls
+//                      (a calendar-spread inconsistency)
+//   elevatedForward    forward vol well above the term's median: event premium such as earnings
+
+const FLAT_TOLERANCE = 0.005; // half a vol point
+const ELEVATED_FORWARD_RATIO = 1.25;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// expirations: [{ expirationDate, timeToExpiryYears, atmIv, ... }]; entries without an ATM IV are
+// dropped. Returns { shape, frontIv, backIv, points } with points sorted by time to expiry.
+export function termStructure(expirations) {
+  const points = expirations
+    .filter((e) => Number.isFinite(e.atmIv) && e.atmIv > 0 && e.timeToExpiryYears > 0)
+    .sort((a, b) => a.timeToExpiryYears - b.timeToExpiryYears)
+    .map((e, i, all) => {
+      const previous = all[i - 1];
+      let forwardVolatility = null;
+      if (previous && e.timeToExpiryYears > previous.timeToExpiryYears) {
+        const forwardVariance =
+          (e.atmIv ** 2 * e.timeToExpiryYears - previous.atmIv ** 2 * previous.timeToExpiryYears) /
+          (e.timeToExpiryYears - previous.timeToExpiryYears);
+        forwardVolatility = forwardVariance > 0 ? Math.sqrt(forwardVariance) : null;
+      }
+      return { ...e, forwardVolatility, inverted: previous ? e.atmIv < previous.atmIv : false };
+    });
+
+  const forwards = points.map((p) => p.forwardVolatility).filter((v) => v !== null);
+  const typicalForward = forwards.length >= 2 ? median(forwards) : null;
+  for (const p of points) {
+    p.elevatedForward =
+      typicalForward !== null && p.forwardVolatility !== null && p.forwardVolatility >= typicalForward * ELEVATED_FORWARD_RATIO;
+  }
+
+  const frontIv = points[0]?.atmIv ?? null;
+  const backIv = points.length > 1 ? points[points.length - 1].atmIv : null;
+  let shape = null;
+  if (frontIv !== null && backIv !== null) {
+    if (backIv > frontIv + FLAT_TOLERANCE) shape = 'contango';
+    else if (backIv < frontIv - FLAT_TOLERANCE) shape = 'backwardation';
+    else shape = 'flat';
+  }
+
+  return { shape, frontIv, backIv, points };
+}
@@ -0,0 +1,108 @@
+// Unusual options activity: contracts across every expiration whose trading today stands out.
+//
+// A contract needs at least `minVolume` contracts traded, then is flagged for any of:
+//   volume/OI   volume at least `minVolumeOiRatio` × open interest (more traded than was open);
+//               always met with no open interest, where all of today's volume opened new positions
+//   average     volume at least `minVolumeMultiple` × its average daily volume over prior sessions
+//   premium     premium traded (volume × VWAP × 100) at least `minPremium` dollars
+// Flagged contracts are ranked by score: the sum over their flags of value / threshold. With no
+// open interest volume/OI adds a fixed NO_OPEN_INTEREST_SCORE, so a new strike gets a boost but
+// still ranks by score against large volume/OI prints.
+
+import { observedPremium } from './pricing.js';
+import { CONTRACT_MULTIPLIER } from './strategy.js';
+
+export const DEFAULT_ACTIVITY_THRESHOLDS = {
+  minVolume: 100,
+  minVolumeOiRatio: 1,
+  minVolumeMultiple: 3,
+  minPremium: 250_000,
+};
+
+// Average daily volume: prior sessions used, the fewest that make an average, and the
+// calendar days of daily bars to request for them
+export const AVERAGE_VOLUME_SESSIONS = 20;
+export const MIN_AVERAGE_SESSIONS = 5;
+export const AVERAGE_VOLUME_LOOKBACK_DAYS = 35;
+
+// Score of the volume/OI flag for a contract with no open interest (volume/OI is undefined)
+const NO_OPEN_INTEREST_SCORE = 5;
+
+// Thresholds from query parameters, falling back to the defaults. Returns { thresholds } or { error }.
+export function parseActivityThresholds(query = {}) {
+  const thresholds = { ...DEFAULT_ACTIVITY_THRESHOLDS };
+  for (const key of Object.keys(thresholds)) {
+    if (query[key] === undefined || query[key] === '') continue;
+    const value = Number(query[key]);
+    if (!Number.isFinite(value) || value <= 0) {
+      return { error: `Invalid ${key}: expected a positive number` };
+    }
+    thresholds[key] = value;
+  }
+  return { thresholds };
+}
+
+// Contracts from a chain snapshot that traded at least `minVolume`, highest volume first
+export function activityCandidates(snapshot, { minVolume }) {
+  return snapshot
+    .map((option) => {
+      const volume = Number(option.day?.volume) || 0;
+      const openInterest = Number(option.open_interest) || 0;
+      const vwap = Number(option.day?.vwap);
+      const price = vwap > 0 ? vwap : observedPremium(option.day);
+      return {
+        ticker: option.details.ticker,
+        expirationDate: option.details.expiration_date,
+        contractType: String(option.details.contract_type).toLowerCase(),
+        strikePrice: option.details.strike_price,
+        volume,
+        openInterest,
+        price,
+        premium: price !== null ? volume * price * CONTRACT_MULTIPLIER : null,
+      };
+    })
+    .filter((c) => c.volume >= minVolume)
+    .sort((a, b) => b.volume - a.volume);
+}
+
+// Mean volume of the daily bars before `asOf` (YYYY-MM-DD), or null with too few sessions
+export function averageDailyVolume(bars, asOf) {
+  const prior = bars
+    .filter((b) => new Date(b.t).toISOString().slice(0, 10) < asOf && Number.isFinite(b.v))
+    .slice(-AVERAGE_VOLUME_SESSIONS);
+  if (prior.length < MIN_AVERAGE_SESSIONS) return null;
+  return prior.reduce((sum, b) => sum + b.v, 0) / prior.length;
+}
+
+// Flag and rank candidates. `averages` maps ticker -> average daily volume (missing: not checked).
+export function rankUnusualActivity(candidates, averages, thresholds) {
+  const flagged = [];
+  for (const c of candidates) {
+    const noOpenInterest = c.openInterest === 0;
+    const volumeOiRatio = noOpenInterest ? null : c.volume / c.openInterest;
+    const averageVolume = averages.get(c.ticker) ?? null;
+    const volumeMultiple = averageVolume > 0 ? c.volume / averageVolume : null;
+
+    const checks = [
+      [
+        'volume_oi',
+        noOpenInterest ? NO_OPEN_INTEREST_SCORE * thresholds.minVolumeOiRatio : volumeOiRatio,
+        thresholds.minVolumeOiRatio,
+      ],
+      ['volume_average', volumeMultiple, thresholds.minVolumeMultiple],
+      ['premium', c.premium, thresholds.minPremium],
+    ].filter(([, value, threshold]) => value !== null && value >= threshold);
+    if (checks.length === 0) continue;
+
+    flagged.push({
+      ...c,
+      volumeOiRatio,
+      noOpenInterest,
+      averageVolume,
+      volumeMultiple,
+      flags: checks.map(([flag]) => flag),
+      score: checks.reduce((sum, [, value, threshold]) => sum + value / threshold, 0),
+    });
+  }
+  return flagged.sort((a, b) => b.score - a.score || (b.premium ?? 0) - (a.premium ?? 0));
+}
@@ -0,0 +1,27 @@
+// Realized (historical) volatility from daily bars.
+//
+// Close-to-close: the standard deviation of daily log returns over the last N sessions,
+// annualized with 252 trading days. Comparable to the decimal implied volatilities
+// used everywhere else (0.25 = 25%).
+
+export const REALIZED_VOL_WINDOWS = [10, 20, 30, 60];
+const TRADING_DAYS_PER_YEAR = 252;
+
+// Calendar days of daily bars to request so the longest window has enough sessions
+export const REALIZED_VOL_LOOKBACK_DAYS = 120;
+
+// bars: [{ t, c }] oldest first. Returns { 10: 0.21, 20: 0.24, ... } (null where there are too few bars).
+export function realizedVolatility(bars, windows = REALIZED_VOL_WINDOWS) {
+  const closes = bars.map((b) => b.c).filter((c) => Number.isFinite(c) && c > 0);
+  const returns = closes.slice(1).map((c, i) => Math.log(c / closes[i]));
+
+  return Object.fromEntries(
+    windows.map((n) => {
+      if (returns.length < n) return [n, null];
+      const sample = returns.slice(-n);
+      const mean = sample.reduce((sum, r) => sum + r, 0) / n;
+      const variance = sample.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (n - 1);
+      return [n, Math.sqrt(variance * TRADING_DAYS_PER_YEAR)];
+    })
+  );
+}
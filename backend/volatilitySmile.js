@@ -0,0 +1,67 @@
+// Volatility smile and skew for one expiration.
+//
+// Each contract with a resolvable IV becomes a point { strike, delta, impliedVolatility }.
+// Skew metrics use IVs interpolated at 25 delta (|delta| for puts):
+//   riskReversal25  25Δ call IV - 25Δ put IV (negative: puts richer, the usual equity skew)
+//   butterfly25     (25Δ call IV + 25Δ put IV) / 2 - ATM IV (the smile's curvature)
+
+import { resolveVolatilityAndGreeks } from './pricing.js';
+import { atmImpliedVolatilityOf } from './expirations.js';
+
+const SKEW_DELTA = 0.25;
+
+// Linear interpolation of IV (and strike) at |delta| = target; null outside the quoted deltas
+function interpolateAtDelta(points, target) {
+  const sorted = points
+    .filter((p) => Number.isFinite(p.delta))
+    .map((p) => ({ ...p, absDelta: Math.abs(p.delta) }))
+    .sort((a, b) => a.absDelta - b.absDelta);
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const lo = sorted[i];
+    const hi = sorted[i + 1];
+    if (lo.absDelta <= target && target <= hi.absDelta) {
+      const w = hi.absDelta === lo.absDelta ? 0 : (target - lo.absDelta) / (hi.absDelta - lo.absDelta);
+      return {
+        impliedVolatility: lo.impliedVolatility + w * (hi.impliedVolatility - lo.impliedVolatility),
+        strike: lo.strike + w * (hi.strike - lo.strike),
+      };
+    }
+  }
+  return null;
+}
+
+// snapshot: Polygon chain snapshot entries for `expirationDate`; t in years
+export function volatilitySmile(snapshot, { spot, expirationDate, t }) {
+  const options = snapshot.filter((o) => o.details?.expiration_date === expirationDate);
+  const sides = { call: [], put: [] };
+  for (const option of options) {
+    const side = String(option.details.contract_type).toLowerCase();
+    if (!sides[side]) continue;
+    const greeks = resolveVolatilityAndGreeks({ option, spot, t });
+    if (!(greeks.impliedVolatility > 0)) continue;
+    sides[side].push({
+      ticker: option.details.ticker,
+      strike: option.details.strike_price,
+      delta: greeks.delta,
+      impliedVolatility: greeks.impliedVolatility,
+      ivSource: greeks.ivSource,
+    });
+  }
+  for (const points of Object.values(sides)) points.sort((a, b) => a.strike - b.strike);
+
+  const { atmIv, strike: atmStrike } = atmImpliedVolatilityOf(options, spot, t);
+  const call25 = interpolateAtDelta(sides.call, SKEW_DELTA);
+  const put25 = interpolateAtDelta(sides.put, SKEW_DELTA);
+
+  return {
+    calls: sides.call,
+    puts: sides.put,
+    atmIv,
+    atmStrike,
+    call25,
+    put25,
+    riskReversal25: call25 && put25 ? call25.impliedVolatility - put25.impliedVolatility : null,
+    butterfly25:
+      call25 && put25 && atmIv !== null ? (call25.impliedVolatility + put25.impliedVolatility) / 2 - atmIv : null,
+  };
+}
@@ -0,0 +1,56 @@
+// Persisted watchlist of underlyings (JSON file), in the order they were added.
+//
+// File: WATCHLIST_FILE (default backend/data/watchlist.json).
+
+import path from 'node:path';
+import { createJsonFile, DATA_DIR } from './jsonFile.js';
+
+const DEFAULT_FILE = path.join(DATA_DIR, 'watchlist.json');
+
+export const MAX_WATCHLIST_TICKERS = 50;
+
+const TICKER_PATTERN = /^[A-Z][A-Z0-9.]{0,9}$/;
+
+// Upper-cased ticker, or null if it does not look like an underlying symbol
+export function normalizeTicker(value) {
+  const ticker = String(value ?? '').trim().toUpperCase();
+  return TICKER_PATTERN.test(ticker) ? ticker : null;
+}
+
+export function createWatchlistStore({ file = process.env.WATCHLIST_FILE || DEFAULT_FILE } = {}) {
+  const store = createJsonFile(file, () => ({ tickers: [] }));
+  let tickers = null; // loaded on first use
+
+  async function load() {
+    if (!tickers) tickers = (await store.read()).tickers || [];
+    return tickers;
+  }
+
+  return {
+    list: load,
+
+    // Returns { tickers } or { error } (invalid ticker, list full); adding a listed ticker is a no-op
+    async add(value) {
+      const ticker = normalizeTicker(value);
+      if (!ticker) return { error: `Invalid ticker: ${value}` };
+      const all = await load();
+      if (all.includes(ticker)) return { tickers: all };
+      if (all.length >= MAX_WATCHLIST_TICKERS) {
+        return { error: `Watchlist is full (${MAX_WATCHLIST_TICKERS} tickers)` };
+      }
+      all.push(ticker);
+      await store.write({ tickers: all });
+      return { tickers: all };
+    },
+
+    // Returns the remaining tickers, or null if it was not listed
+    async remove(value) {
+      const all = await load();
+      const index = all.indexOf(normalizeTicker(value));
+      if (index === -1) return null;
+      all.splice(index, 1);
+      await store.write({ tickers: all });
+      return all;
+    },
+  };
+}
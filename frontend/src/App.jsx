@@ -1,5 +1,39 @@
 import { useState, useEffect, Fragment, useRef } from 'react';
 import './App.css';
+import StrategyTicket from './StrategyTicket';
+import PayoffChart from './PayoffChart';
+import ComputedMark from './ComputedMark';
+import MirroredChainTable from './MirroredChainTable';
+import MarketSessionBadge from './MarketSessionBadge';
+import ChatSessionBar from './ChatSessionBar';
+import Watchlist from './Watchlist';
+import PositionsPanel from './PositionsPanel';
+import PriceHistoryPanel from './PriceHistoryPanel';
+import VolatilityStats from './VolatilityStats';
+import ExpectedMoveRow from './ExpectedMoveRow';
+import FlowPanel from './FlowPanel';
+import SmilePanel from './SmilePanel';
+import TermStructurePanel from './TermStructurePanel';
+import OpenInterestPanel from './OpenInterestPanel';
+import useQuoteStream from './useQuoteStream';
+import { streamChat } from './chatStream';
+import StrikeRangeControl, { DEFAULT_STRIKE_WINDOW, strikeWindowQuery, windowIncludingStrike } from './StrikeRangeControl';
+import {
+  formatCurrency,
+  formatPercent,
+  formatProbability,
+  formatSignedCurrency,
+  formatGreek,
+  formatMaxValue,
+  getSignClass,
+} from './format';
+
+// Expiration dropdown groups, in display order
+const EXPIRATION_CYCLE_LABELS = { weekly: 'Weekly', monthly: 'Monthly', quarterly: 'Quarterly', leaps: 'LEAPS' };
+
+// Streamed fields that flash green/red when they move
+const FLASH_FIELDS = ['askPrice', 'bidPrice', 'optionPrice', 'breakeven', 'toBreakeven', 'priceChange', 'percentChange'];
+const FLASH_MS = 900;
 
 function App() {
   const [ticker, setTicker] = useState('');
@@ -7,27 +41,52 @@ function App() {
   const [expirationDate, setExpirationDate] = useState('');
   const [contractType, setContractType] = useState('call');
   const [action, setAction] = useState('buy');
+  const [strikeWindow, setStrikeWindow] = useState(DEFAULT_STRIKE_WINDOW);
   const [expirationDates, setExpirationDates] = useState([]);
   const [options, setOptions] = useState([]);
+  const [chainRows, setChainRows] = useState([]);
+  const [expectedMove, setExpectedMove] = useState(null);
   const [underlyingPrice, setUnderlyingPrice] = useState(null);
   const [underlying, setUnderlying] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [marketOpen, setMarketOpen] = useState(false);
+  const [liveQuotes, setLiveQuotes] = useState(true);
+  const [flashes, setFlashes] = useState({}); // `${ticker}:${field}` -> 'up' | 'down'
+  const [showPriceHistory, setShowPriceHistory] = useState(false);
+  const [showSmile, setShowSmile] = useState(false);
+  const [showTermStructure, setShowTermStructure] = useState(false);
+  const [showOpenInterest, setShowOpenInterest] = useState(false);
+  const [chainView, setChainView] = useState('chain'); // 'chain' | 'flow'
+  const [highlightContract, setHighlightContract] = useState(null); // option ticker loaded from Flow
   const tickerInputRef = useRef(null);
+  const expirationTickerRef = useRef(null); // ticker whose expiration dates are being loaded
+  const expirationStatsTickerRef = useRef(null); // ticker whose expiration stats were requested
+
+  const [strategyLegs, setStrategyLegs] = useState([]);
+  const [strategyAnalysis, setStrategyAnalysis] = useState(null);
+  const [strategyLoading, setStrategyLoading] = useState(false);
+  const [strategyError, setStrategyError] = useState(null);
+  const [payoffHorizons, setPayoffHorizons] = useState([]);
 
   const [chatMessages, setChatMessages] = useState([
     {
       id: crypto.randomUUID(),
       role: 'assistant',
       content:
-        'Add a contract to analyze by clicking the "+" button on the option chain.',
+        'Add contracts to the strategy ticket with the "+" button on the option chain, then press "Analyze in chat".',
       ts: Date.now(),
     },
   ]);
   const [chatDraft, setChatDraft] = useState('');
   const [chatSending, setChatSending] = useState(false);
+  const [chatModels, setChatModels] = useState([]);
+  const [chatModel, setChatModel] = useState('');
+  const [chatSessions, setChatSessions] = useState([]);
+  const [activeSessionId, setActiveSessionId] = useState(null);
+  const [chatSummarized, setChatSummarized] = useState(0); // messages of the session folded into its summary
   const chatEndRef = useRef(null);
+  const chatAbortRef = useRef(null);
 
   // Auto-focus ticker input on page load
   useEffect(() => {
@@ -36,6 +95,29 @@ function App() {
     }
   }, []);
 
+  // Models the server allows for chat (the first is its default)
+  useEffect(() => {
+    fetch('/api/chat/models')
+      .then((resp) => (resp.ok ? resp.json() : null))
+      .then((data) => {
+        if (!data) return;
+        setChatModels(data.models || []);
+        setChatModel(data.defaultModel || '');
+      })
+      .catch((err) => console.error('Error fetching chat models:', err));
+  }, []);
+
+  // Saved chat sessions (newest first)
+  const refreshChatSessions = () =>
+    fetch('/api/chat/sessions')
+      .then((resp) => (resp.ok ? resp.json() : null))
+      .then((data) => data && setChatSessions(data.sessions || []))
+      .catch((err) => console.error('Error fetching chat sessions:', err));
+
+  useEffect(() => {
+    refreshChatSessions();
+  }, []);
+
   // Keep chat scrolled to the latest message
   useEffect(() => {
     if (chatEndRef.current) {
@@ -55,9 +137,12 @@ function App() {
     setExpirationDates([]);
     setExpirationDate('');
     setOptions([]);
+    setChainRows([]);
+    setExpectedMove(null);
     setUnderlyingPrice(null);
     setUnderlying(null);
     setError(null);
+    setHighlightContract(null);
   }, [ticker]);
 
   // Fetch expiration dates only after debounce settles
@@ -72,19 +157,122 @@ function App() {
     } else {
       // Clear options if requirements not met
       setOptions([]);
+      setChainRows([]);
       setUnderlyingPrice(null);
       setUnderlying(null);
     }
-  }, [debouncedTicker, expirationDate, contractType]);
+  }, [debouncedTicker, expirationDate, contractType, action, strikeWindow]);
+
+  // Expected move for the chain's boundary rows: once per expiration, not on every chain reload
+  useEffect(() => {
+    setExpectedMove(null);
+    if (!debouncedTicker || !expirationDate) return undefined;
+    const controller = new AbortController();
+    fetch(`/api/expected-move?${new URLSearchParams({ ticker: debouncedTicker, expirationDate })}`, { signal: controller.signal })
+      .then(async (resp) => {
+        const data = await resp.json();
+        if (!resp.ok) throw new Error(data.error || `Expected move error: ${resp.status}`);
+        setExpectedMove(data.expectedMoves?.[0] || null);
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.warn('Expected move unavailable:', err.message);
+      });
+    return () => controller.abort();
+  }, [debouncedTicker, expirationDate]);
+
+  // Bring a contract loaded from Flow into view once its chain is on screen
+  useEffect(() => {
+    if (highlightContract && chainView === 'chain') {
+      document.querySelector('.chain-highlight')?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+  }, [options, highlightContract, chainView]);
+
+  // Re-analyze the strategy ticket whenever its legs or payoff horizons change
+  useEffect(() => {
+    if (strategyLegs.length === 0) {
+      setStrategyAnalysis(null);
+      setStrategyError(null);
+      setStrategyLoading(false);
+      return;
+    }
+    let cancelled = false;
+    fetchStrategy(strategyLegs, payoffHorizons).then((result) => {
+      if (cancelled) return;
+      setStrategyAnalysis(result.analysis);
+      setStrategyError(result.error);
+      setStrategyLoading(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [strategyLegs, payoffHorizons]);
+
+  // Live quotes: swap streamed contracts into the chain in place and flash what moved
+  const chainRef = useRef({ options, underlyingPrice });
+  chainRef.current = { options, underlyingPrice };
+
+  const onQuote = (data) => {
+    const updates = new Map(data.options.map((o) => [o.ticker, o]));
+    const moved = {};
+    for (const option of chainRef.current.options) {
+      const next = updates.get(option.ticker);
+      if (!next) continue;
+      for (const field of FLASH_FIELDS) {
+        if (typeof next[field] === 'number' && typeof option[field] === 'number' && next[field] !== option[field]) {
+          moved[`${option.ticker}:${field}`] = next[field] > option[field] ? 'up' : 'down';
+        }
+      }
+    }
+    const previousPrice = chainRef.current.underlyingPrice;
+    if (data.underlying && previousPrice != null && data.underlyingPrice !== previousPrice) {
+      moved['underlying:price'] = data.underlyingPrice > previousPrice ? 'up' : 'down';
+    }
+
+    if (updates.size > 0) {
+      const swap = (option) => (option && updates.has(option.ticker) ? updates.get(option.ticker) : option);
+      setOptions((prev) => prev.map(swap));
+      setChainRows((prev) => prev.map((row) => ({ ...row, call: swap(row.call), put: swap(row.put) })));
+    }
+    if (data.underlying) {
+      setUnderlying(data.underlying);
+      setUnderlyingPrice(data.underlyingPrice);
+      setMarketOpen(data.underlying.marketOpen || false);
+    }
+
+    const keys = Object.keys(moved);
+    if (keys.length === 0) return;
+    setFlashes((prev) => ({ ...prev, ...moved }));
+    setTimeout(() => {
+      setFlashes((prev) => {
+        const next = { ...prev };
+        for (const key of keys) if (next[key] === moved[key]) delete next[key];
+        return next;
+      });
+    }, FLASH_MS);
+  };
+
+  const streamStatus = useQuoteStream({
+    enabled: liveQuotes && !loading && options.length > 0,
+    ticker: debouncedTicker,
+    expirationDate,
+    contractType,
+    action,
+    onQuote,
+  });
+
+  const flashClass = (ticker, field) => (flashes[`${ticker}:${field}`] ? `flash-${flashes[`${ticker}:${field}`]}` : '');
 
   const fetchExpirationDates = async (t) => {
     setExpirationDates([]); // Clear previous dates immediately
+    expirationTickerRef.current = t;
+    expirationStatsTickerRef.current = null;
     try {
       const response = await fetch(
         `/api/expiration-dates?ticker=${encodeURIComponent(t)}`
       );
       if (!response.ok) throw new Error('Failed to fetch expiration dates');
       const data = await response.json();
+      if (expirationTickerRef.current !== t) return;
       setExpirationDates(data.expirationDates || []);
     } catch (err) {
       console.error('Error fetching expiration dates:', err);
@@ -92,12 +280,31 @@ function App() {
     }
   };
 
+  // Per-date stats (strikes, OI, volume, ATM IV) page the whole chain, so they are only requested
+  // once the user opens the dropdown, and then once per ticker
+  const fetchExpirationStats = async () => {
+    const t = expirationTickerRef.current;
+    if (!t || expirationStatsTickerRef.current === t || expirationDates.length === 0) return;
+    expirationStatsTickerRef.current = t;
+    try {
+      const response = await fetch(`/api/expiration-dates?ticker=${encodeURIComponent(t)}&stats=true`);
+      if (!response.ok) throw new Error('Failed to fetch expiration stats');
+      const data = await response.json();
+      if (expirationTickerRef.current !== t) return;
+      const stats = new Map((data.expirationDates || []).map((e) => [e.date, e]));
+      setExpirationDates((prev) => prev.map((e) => ({ ...e, ...stats.get(e.date) })));
+    } catch (err) {
+      console.warn('Expiration stats unavailable:', err.message);
+      if (expirationStatsTickerRef.current === t) expirationStatsTickerRef.current = null; // retry on next open
+    }
+  };
+
   const fetchOptions = async (t) => {
     setLoading(true);
     setError(null);
     try {
       const response = await fetch(
-        `/api/options?ticker=${encodeURIComponent(t)}&expirationDate=${encodeURIComponent(expirationDate)}&contractType=${encodeURIComponent(contractType)}`
+        `/api/options?ticker=${encodeURIComponent(t)}&expirationDate=${encodeURIComponent(expirationDate)}&contractType=${encodeURIComponent(contractType)}&action=${encodeURIComponent(action)}&${strikeWindowQuery(strikeWindow)}`
       );
       if (!response.ok) {
         const errorData = await response.json();
@@ -105,6 +312,7 @@ function App() {
       }
       const data = await response.json();
       setOptions(data.options || []);
+      setChainRows(data.rows || []);
       setUnderlying(data.underlying || null);
       setUnderlyingPrice((data.underlying && data.underlying.price != null) ? data.underlying.price : data.underlyingPrice);
       setMarketOpen(data.marketOpen || false);
@@ -112,34 +320,30 @@ function App() {
       console.error('Error fetching options:', err);
       setError(err.message);
       setOptions([]);
+      setChainRows([]);
     } finally {
       setLoading(false);
     }
   };
 
-  const formatCurrency = (value) => {
-    if (value === null || value === undefined) return '-';
-    return `$${Number(value).toFixed(2)}`;
-  };
-
-  const formatPercent = (value) => {
-    if (value === null || value === undefined) return '-';
-    const sign = value >= 0 ? '+' : '';
-    return `${sign}${Number(value).toFixed(2)}%`;
-  };
-
-  const formatSignedCurrency = (value) => {
-    if (value === null || value === undefined) return '-';
-    const n = Number(value);
-    if (!Number.isFinite(n)) return '-';
-    const sign = n > 0 ? '+' : '';
-    return `${sign}$${Math.abs(n).toFixed(2)}`.replace(`${sign}$`, `${sign}$`);
-  };
-
-  const getSignClass = (value) => {
-    const n = Number(value);
-    if (!Number.isFinite(n) || n === 0) return 'neutral';
-    return n > 0 ? 'positive' : 'negative';
+  const fetchStrategy = async (legs, horizons) => {
+    setStrategyLoading(true);
+    try {
+      const response = await fetch('/api/strategy', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          legs: legs.map((l) => ({ ticker: l.option.ticker, side: l.side, quantity: l.quantity })),
+          horizons,
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || 'Failed to analyze strategy');
+      return { analysis: data, error: null };
+    } catch (err) {
+      console.error('Error analyzing strategy:', err);
+      return { analysis: null, error: err.message };
+    }
   };
 
   const computeChange = (current, base) => {
@@ -154,10 +358,16 @@ function App() {
   };
 
   const getPriceDisplay = (option) => {
-    // Display ask price (or close as fallback)
+    // Selling: credit received at the bid (close as fallback)
+    if (option.action === 'sell') return formatCurrency(option.credit ?? option.optionPrice);
+    // Buying: display ask price (or close as fallback)
     return formatCurrency(option.askPrice || option.optionPrice);
   };
 
+  // Column headers follow the rows on screen: after a Buy/Sell switch the old rows stay until
+  // the refetch lands, and their breakevens and probabilities are still for the old action
+  const tableAction = options[0]?.action ?? action;
+
   const buildOptionAnalysisPrompt = (option) => {
     const parts = [];
 
@@ -173,8 +383,26 @@ function App() {
     parts.push(`- Change: ${option.priceChange != null ? formatCurrency(option.priceChange) : 'N/A'} (${option.percentChange != null ? formatPercent(option.percentChange) : 'N/A'})`);
     parts.push(`- Open Interest: ${option.openInterest ?? 'N/A'}`);
     parts.push(`- Volume: ${option.volume ?? 'N/A'}`);
-    parts.push(`- IV: ${option.impliedVolatility != null ? `${Number(option.impliedVolatility).toFixed(4)}` : 'N/A'}`);
-    parts.push(`- Delta: ${option.delta != null ? Number(option.delta).toFixed(4) : 'N/A'}`);
+    parts.push(`- IV: ${option.impliedVolatility != null ? `${Number(option.impliedVolatility).toFixed(4)}${option.ivSource === 'computed' ? ' (computed locally from quote)' : ''}` : 'N/A'}`);
+    const greeksNote = option.greeksSource === 'computed' ? ' (computed locally, Black-Scholes)' : '';
+    parts.push(`- Delta: ${option.delta != null ? `${Number(option.delta).toFixed(4)}${greeksNote}` : 'N/A'}`);
+    parts.push(`- Gamma: ${option.gamma != null ? `${Number(option.gamma).toFixed(4)}${greeksNote}` : 'N/A'}`);
+    parts.push(`- Theta (per day): ${option.theta != null ? `${Number(option.theta).toFixed(4)}${greeksNote}` : 'N/A'}`);
+    parts.push(`- Vega: ${option.vega != null ? `${Number(option.vega).toFixed(4)}${greeksNote}` : 'N/A'}`);
+    parts.push(`- Rho: ${option.rho != null ? `${Number(option.rho).toFixed(4)} (computed locally)` : 'N/A'}`);
+    parts.push(`- Position: ${option.action === 'sell' ? 'SELL (short)' : 'BUY (long)'}`);
+    if (option.action === 'sell') {
+      parts.push(`- Credit received (per share): ${option.credit != null ? formatCurrency(option.credit) : 'N/A'}`);
+    } else {
+      parts.push(`- Debit paid (per share): ${option.debit != null ? formatCurrency(option.debit) : 'N/A'}`);
+    }
+    parts.push(`- Max profit (per contract): ${option.maxProfit != null ? formatMaxValue(option.maxProfit) : 'N/A'}`);
+    parts.push(`- Max loss (per contract): ${option.maxLoss != null ? formatMaxValue(option.maxLoss) : 'N/A'}`);
+    parts.push(`- Win condition: ${option.winCondition || 'N/A'}`);
+    parts.push(`- Breakeven: ${option.breakeven != null ? formatCurrency(option.breakeven) : 'N/A'}`);
+    parts.push(`- Prob. ITM at expiry (lognormal): ${option.probabilityITM != null ? formatProbability(option.probabilityITM) : 'N/A'}`);
+    parts.push(`- Prob. of touching strike: ${option.probabilityTouch != null ? formatProbability(option.probabilityTouch) : 'N/A'}`);
+    parts.push(`- Prob. of profit at breakeven: ${option.probabilityOfProfit != null ? formatProbability(option.probabilityOfProfit) : 'N/A'}`);
     parts.push(`- Underlying price: ${underlyingPrice != null ? formatCurrency(underlyingPrice) : 'N/A'}`);
     parts.push('');
     parts.push('Questions:');
@@ -185,8 +413,69 @@ function App() {
     return parts.join('\n');
   };
 
-  const onAddOptionToChat = (option) => {
-    const prompt = buildOptionAnalysisPrompt(option);
+  const buildStrategyPrompt = (legs, analysis) => {
+    const parts = [];
+
+    parts.push(`Strategy selected (${legs.length} legs):`);
+    parts.push(`- Underlying: ${ticker || 'N/A'} at ${formatCurrency(analysis.underlyingPrice)}`);
+    analysis.legs.forEach((leg) => {
+      parts.push(
+        `- ${leg.side.toUpperCase()} ${leg.quantity}x ${leg.ticker} (${leg.contractType} ${formatCurrency(leg.strikePrice)} exp ${leg.expirationDate}) @ ${formatCurrency(leg.premium)}, IV ${leg.impliedVolatility != null ? Number(leg.impliedVolatility).toFixed(4) : 'N/A'}, delta ${formatGreek(leg.delta, 4)}`
+      );
+    });
+    parts.push(`- Net ${analysis.netType}: ${formatCurrency(analysis.netPremium)}`);
+    parts.push(`- Max profit: ${formatMaxValue(analysis.maxProfit)}`);
+    parts.push(`- Max loss: ${formatMaxValue(analysis.maxLoss)}`);
+    parts.push(`- Breakevens at ${analysis.evaluationDate}: ${analysis.breakevens.length > 0 ? analysis.breakevens.map((b) => formatCurrency(b)).join(', ') : 'None'}`);
+    parts.push(`- Prob. of profit (lognormal): ${formatProbability(analysis.probabilityOfProfit)}`);
+    parts.push(`- Position Greeks: delta ${formatGreek(analysis.greeks.delta, 2)}, gamma ${formatGreek(analysis.greeks.gamma, 2)}, theta ${formatGreek(analysis.greeks.theta, 2)}, vega ${formatGreek(analysis.greeks.vega, 2)}`);
+    parts.push('');
+    parts.push('Questions:');
+    parts.push('a. How likely will this strategy be profitable, and what are the main risks?');
+    parts.push('b. Is there a better structure for the same outlook (different strikes, width or expiration)?');
+
+    return parts.join('\n');
+  };
+
+  // Load a Flow contract into the chain: its expiration and side, a strike window that reaches it,
+  // and its row highlighted
+  const onLoadFlowContract = (contract, spot) => {
+    setExpirationDate(contract.expirationDate);
+    if (contractType !== 'both') setContractType(contract.contractType);
+    setStrikeWindow((w) => windowIncludingStrike(w, contract.strikePrice, spot));
+    setHighlightContract(contract.ticker);
+    setChainView('chain');
+  };
+
+  const onAddOptionToTicket = (option) => {
+    setStrategyLegs((prev) => {
+      const existing = prev.find((l) => l.id === option.ticker);
+      if (existing) {
+        return prev.map((l) => (l.id === option.ticker ? { ...l, quantity: l.quantity + 1 } : l));
+      }
+      return [...prev, { id: option.ticker, option, side: action, quantity: 1 }];
+    });
+  };
+
+  const onChangeLeg = (id, patch) => {
+    setStrategyLegs((prev) => prev.map((l) => (l.id === id ? { ...l, ...patch } : l)));
+  };
+
+  const onRemoveLeg = (id) => {
+    setStrategyLegs((prev) => prev.filter((l) => l.id !== id));
+  };
+
+  const onAnalyzeStrategyInChat = () => {
+    // A single leg on the side it was loaded with keeps the detailed per-contract prompt
+    const [first] = strategyLegs;
+    if (strategyLegs.length === 1 && first.quantity === 1 && first.side === first.option.action) {
+      onDraftChatPrompt(buildOptionAnalysisPrompt(strategyLegs[0].option));
+    } else if (strategyAnalysis) {
+      onDraftChatPrompt(buildStrategyPrompt(strategyLegs, strategyAnalysis));
+    }
+  };
+
+  const onDraftChatPrompt = (prompt) => {
     setChatDraft(prompt);
     setChatMessages((prev) => [
       ...prev,
@@ -201,335 +490,707 @@ function App() {
     ]);
   };
 
-  const onSendChat = () => {
+  const onSendChat = async () => {
     const trimmed = chatDraft.trim();
     if (!trimmed || chatSending) return;
 
     const nextUserMsg = { id: crypto.randomUUID(), role: 'user', content: trimmed, ts: Date.now() };
-    setChatMessages((prev) => [...prev, nextUserMsg]);
+    const replyId = crypto.randomUUID();
+
+    // The reply is rendered as it streams in
+    setChatMessages((prev) => [
+      ...prev,
+      nextUserMsg,
+      { id: replyId, role: 'assistant', content: '', ts: Date.now(), streaming: true },
+    ]);
     setChatDraft('');
     setChatSending(true);
 
-    // Call backend chat endpoint with recent context
-    const outgoing = (msgs) =>
-      msgs
-        .filter((m) => m && (m.role === 'user' || m.role === 'assistant') && typeof m.content === 'string')
-        .slice(-12)
-        .map((m) => ({ role: m.role, content: m.content }));
-
-    // Use functional update snapshot for best ordering
-    setChatMessages((prev) => {
-      const payload = outgoing([...prev, nextUserMsg]);
-      (async () => {
-        try {
-          const resp = await fetch('/api/chat', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ messages: payload }),
-          });
-          if (!resp.ok) {
-            const err = await resp.json().catch(() => ({}));
-            throw new Error(err.error || `Chat error: ${resp.status}`);
-          }
-          const data = await resp.json();
-          const content = data?.content || '(empty response)';
-          setChatMessages((p) => [
-            ...p,
-            { id: crypto.randomUUID(), role: 'assistant', content, ts: Date.now() },
-          ]);
-        } catch (e) {
-          setChatMessages((p) => [
-            ...p,
-            {
-              id: crypto.randomUUID(),
-              role: 'assistant',
-              content: `Error: ${e.message}`,
-              ts: Date.now(),
-            },
-          ]);
-        } finally {
-          setChatSending(false);
-        }
-      })();
-      return prev;
-    });
+    const updateReply = (update) =>
+      setChatMessages((p) => p.map((m) => (m.id === replyId ? { ...m, ...update(m) } : m)));
+
+    const controller = new AbortController();
+    chatAbortRef.current = controller;
+    try {
+      // The first message of a new chat saves it as a session for the current ticker
+      // (and contract, when the ticket holds a single one); the server then keeps the history
+      let sessionId = activeSessionId;
+      if (!sessionId) {
+        const session = await createChatSession(trimmed);
+        sessionId = session?.id ?? null;
+        if (sessionId) setActiveSessionId(sessionId);
+      }
+      // Without a saved session the whole conversation is sent
+      const messages = sessionId
+        ? undefined
+        : [...chatMessages, nextUserMsg]
+            .filter((m) => m && (m.role === 'user' || m.role === 'assistant') && typeof m.content === 'string')
+            .map((m) => ({ role: m.role, content: m.content }));
+
+      const { content, summarizedMessages } = await streamChat({
+        messages,
+        sessionId,
+        message: trimmed,
+        model: chatModel || undefined,
+        ticker: debouncedTicker || undefined,
+        signal: controller.signal,
+        onDelta: (delta) => updateReply((m) => ({ content: m.content + delta })),
+        onToolCall: (call) => updateReply((m) => ({ toolCalls: [...(m.toolCalls || []), call] })),
+      });
+      updateReply(() => ({ content: content || '(empty response)', streaming: false }));
+      if (sessionId) setChatSummarized(summarizedMessages || 0);
+    } catch (e) {
+      if (e.name === 'AbortError') {
+        updateReply((m) => ({ content: m.content || '(stopped)', streaming: false, stopped: true }));
+      } else {
+        updateReply((m) => ({ content: m.content ? `${m.content}\n\nError: ${e.message}` : `Error: ${e.message}`, streaming: false }));
+      }
+    } finally {
+      chatAbortRef.current = null;
+      setChatSending(false);
+      refreshChatSessions();
+    }
+  };
+
+  const onStopChat = () => {
+    chatAbortRef.current?.abort();
+  };
+
+  // Named after the first line of its first message; returns null if it could not be saved
+  const createChatSession = async (firstMessage) => {
+    const firstLine = firstMessage.split('\n')[0].trim();
+    const contract = strategyLegs.length === 1 ? strategyLegs[0].option.ticker : undefined;
+    try {
+      const resp = await fetch('/api/chat/sessions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: firstLine.length > 48 ? `${firstLine.slice(0, 47)}…` : firstLine,
+          ticker: debouncedTicker || undefined,
+          contract,
+        }),
+      });
+      if (!resp.ok) throw new Error(`Chat session error: ${resp.status}`);
+      return await resp.json();
+    } catch (err) {
+      console.error('Error creating chat session:', err);
+      return null;
+    }
   };
 
-  const onClearChat = () => {
+  const onNewChat = () => {
+    chatAbortRef.current?.abort();
+    setActiveSessionId(null);
+    setChatSummarized(0);
     setChatMessages([
       {
         id: crypto.randomUUID(),
         role: 'assistant',
         content:
-          'Chat cleared. Add a contract to analyze by clicking the "+" button on the option chain.',
+          'New chat. Add contracts to the strategy ticket with the "+" button, then press "Analyze in chat".',
         ts: Date.now(),
       },
     ]);
     setChatDraft('');
   };
 
+  const onSelectChatSession = async (id) => {
+    if (!id) return onNewChat();
+    try {
+      const resp = await fetch(`/api/chat/sessions/${encodeURIComponent(id)}`);
+      if (!resp.ok) throw new Error(`Chat session error: ${resp.status}`);
+      const session = await resp.json();
+      setActiveSessionId(session.id);
+      setChatSummarized(session.summary?.messageCount || 0);
+      setChatMessages(
+        session.messages.map((m) => ({
+          id: m.id,
+          role: m.role,
+          content: m.content,
+          ts: m.ts,
+          toolCalls: m.toolCalls,
+          stopped: m.stopped,
+        }))
+      );
+      setChatDraft('');
+    } catch (err) {
+      console.error('Error loading chat session:', err);
+      refreshChatSessions();
+    }
+  };
+
+  const onRenameChatSession = async (session) => {
+    const name = window.prompt('Rename chat', session.name)?.trim();
+    if (!name || name === session.name) return;
+    try {
+      const resp = await fetch(`/api/chat/sessions/${encodeURIComponent(session.id)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name }),
+      });
+      if (!resp.ok) throw new Error(`Chat session error: ${resp.status}`);
+    } catch (err) {
+      console.error('Error renaming chat session:', err);
+    }
+    refreshChatSessions();
+  };
+
+  const onDeleteChatSession = async (session) => {
+    if (!window.confirm(`Delete "${session.name}"?`)) return;
+    try {
+      const resp = await fetch(`/api/chat/sessions/${encodeURIComponent(session.id)}`, { method: 'DELETE' });
+      if (!resp.ok && resp.status !== 404) throw new Error(`Chat session error: ${resp.status}`);
+      if (session.id === activeSessionId) onNewChat();
+    } catch (err) {
+      console.error('Error deleting chat session:', err);
+    }
+    refreshChatSessions();
+  };
+
   // Find the position where to insert the share price indicator
   // Since we're showing descending order (highest first), we need to find
   // the first strike that is below the share price
-  const getSharePricePosition = () => {
-    if (!underlyingPrice || options.length === 0) return -1;
+  // Index of the row a divider at `price` goes before (share price, expected-move boundaries)
+  const getPricePosition = (list, price) => {
+    if (!price || list.length === 0) return -1;
 
-    // Options are sorted descending (highest first)
-    // Find the first strike that is below the share price
-    for (let i = 0; i < options.length; i++) {
-      if (options[i].strikePrice < underlyingPrice) {
+    // Rows are sorted descending (highest first)
+    // Find the first strike that is below the price
+    for (let i = 0; i < list.length; i++) {
+      if (list[i].strikePrice < price) {
         return i;
       }
     }
-    // If all strikes are above share price, put it at the end
-    return options.length;
+    // If all strikes are above the price, put it at the end
+    return list.length;
   };
 
-  const sharePricePosition = getSharePricePosition();
+  const getSharePricePosition = (list) => getPricePosition(list, underlyingPrice);
+
+  const getExpectedMovePositions = (list) => ({
+    upper: expectedMove ? getPricePosition(list, expectedMove.upper) : -1,
+    lower: expectedMove ? getPricePosition(list, expectedMove.lower) : -1,
+  });
+
+  // The chart's "selected contract": the latest strategy-ticket leg on the current ticker
+  const historyContract =
+    [...strategyLegs].reverse().find((l) => new RegExp(`^O:${debouncedTicker}\\d{6}[CP]`).test(l.option.ticker))
+      ?.option ?? null;
+
+  const sharePricePosition = getSharePricePosition(options);
+  const rowSharePricePosition = getSharePricePosition(chainRows);
+  const expectedMovePositions = getExpectedMovePositions(options);
+  const rowExpectedMovePositions = getExpectedMovePositions(chainRows);
 
   return (
     <div className="app">
-      <div className="container">
-        {/* Title */}
-        <div className="app-title">
-          <h1>FormosaOps</h1>
-        </div>
+      <div className="app-layout">
+        <Watchlist activeTicker={debouncedTicker} onSelect={(t) => setTicker(t)} />
+        <div className="container">
+          {/* Title */}
+          <div className="app-title">
+            <h1>FormosaOps</h1>
+          </div>
 
-        {/* Header */}
-        <div className="header">
-          <div className="header-left">
-            <div className="header-input-group">
-              <input
-                id="ticker-input"
-                ref={tickerInputRef}
-                type="text"
-                className="ticker-input"
-                placeholder="Enter ticker (e.g., AAPL)"
-                value={ticker}
-                onChange={(e) => setTicker(e.target.value.toUpperCase())}
-              />
-              {ticker && underlying?.price != null && (
-                <div className="stock-price-info">
-                  <div className="stock-price-main">
-                    {formatCurrency(underlying.price)}
-                  </div>
-                  <div className="stock-price-sub">
-                    {underlying.todayChange == null && underlying.overnightChange == null && underlying.prevClose != null && (
-                      (() => {
-                        const { change, changePercent } = computeChange(underlying.price, underlying.prevClose);
-                        if (change == null || changePercent == null) return null;
-                        return (
-                          <div className="change-row">
-                            <span className={getSignClass(change)}>
-                              {formatSignedCurrency(change)} ({formatPercent(changePercent)})
-                            </span>
-                            <span className="change-label">Change</span>
-                          </div>
-                        );
-                      })()
-                    )}
-                    {underlying.todayChange != null && underlying.todayChangePercent != null && (
-                      <div className="change-row">
-                        <span className={getSignClass(underlying.todayChange)}>
-                          {formatSignedCurrency(underlying.todayChange)} ({formatPercent(underlying.todayChangePercent)})
-                        </span>
-                        <span className="change-label">Today</span>
-                      </div>
-                    )}
-                    {underlying.overnightChange != null && underlying.overnightChangePercent != null && (
-                      <div className="change-row">
-                        <span className={getSignClass(underlying.overnightChange)}>
-                          {formatSignedCurrency(underlying.overnightChange)} ({formatPercent(underlying.overnightChangePercent)})
-                        </span>
-                        <span className="change-label">Overnight</span>
-                      </div>
-                    )}
+          {/* Header */}
+          <div className="header">
+            <div className="header-left">
+              <div className="header-input-group">
+                <input
+                  id="ticker-input"
+                  ref={tickerInputRef}
+                  type="text"
+                  className="ticker-input"
+                  placeholder="Enter ticker (e.g., AAPL)"
+                  value={ticker}
+                  onChange={(e) => setTicker(e.target.value.toUpperCase())}
+                />
+                {ticker && underlying?.price != null && (
+                  <div className="stock-price-info">
+                    <div className={`stock-price-main ${flashClass('underlying', 'price')}`}>
+                      {formatCurrency(underlying.price)}
+                    </div>
+                    <div className="stock-price-sub">
+                      {underlying.todayChange == null && underlying.overnightChange == null && underlying.prevClose != null && (
+                        (() => {
+                          const { change, changePercent } = computeChange(underlying.price, underlying.prevClose);
+                          if (change == null || changePercent == null) return null;
+                          return (
+                            <div className="change-row">
+                              <span className={getSignClass(change)}>
+                                {formatSignedCurrency(change)} ({formatPercent(changePercent)})
+                              </span>
+                              <span className="change-label">Change</span>
+                            </div>
+                          );
+                        })()
+                      )}
+                      {underlying.todayChange != null && underlying.todayChangePercent != null && (
+                        <div className="change-row">
+                          <span className={getSignClass(underlying.todayChange)}>
+                            {formatSignedCurrency(underlying.todayChange)} ({formatPercent(underlying.todayChangePercent)})
+                          </span>
+                          <span className="change-label">Today</span>
+                        </div>
+                      )}
+                      {underlying.overnightChange != null && underlying.overnightChangePercent != null && (
+                        <div className="change-row">
+                          <span className={getSignClass(underlying.overnightChange)}>
+                            {formatSignedCurrency(underlying.overnightChange)} ({formatPercent(underlying.overnightChangePercent)})
+                          </span>
+                          <span className="change-label">Overnight</span>
+                        </div>
+                      )}
+                    </div>
                   </div>
-                </div>
-              )}
+                )}
+              </div>
+              {debouncedTicker && <VolatilityStats ticker={debouncedTicker} />}
+            </div>
+            <div className="header-right">
+              <MarketSessionBadge session={underlying?.session} />
+              <button
+                type="button"
+                className="price-history-btn"
+                onClick={() => setShowPriceHistory((v) => !v)}
+                aria-expanded={showPriceHistory}
+                disabled={!debouncedTicker}
+              >
+                Price History <span className="expand-icon">{showPriceHistory ? '▲' : '▼'}</span>
+              </button>
+              <button
+                type="button"
+                className="price-history-btn"
+                onClick={() => setShowSmile((v) => !v)}
+                aria-expanded={showSmile}
+                disabled={!debouncedTicker || !expirationDate}
+              >
+                Vol Smile <span className="expand-icon">{showSmile ? '▲' : '▼'}</span>
+              </button>
+              <button
+                type="button"
+                className="price-history-btn"
+                onClick={() => setShowTermStructure((v) => !v)}
+                aria-expanded={showTermStructure}
+                disabled={!debouncedTicker}
+              >
+                Term Structure <span className="expand-icon">{showTermStructure ? '▲' : '▼'}</span>
+              </button>
+              <button
+                type="button"
+                className="price-history-btn"
+                onClick={() => setShowOpenInterest((v) => !v)}
+                aria-expanded={showOpenInterest}
+                disabled={!debouncedTicker || !expirationDate}
+              >
+                OI / GEX <span className="expand-icon">{showOpenInterest ? '▲' : '▼'}</span>
+              </button>
             </div>
           </div>
-          <div className="header-right">
-            <button type="button" className="price-history-btn">
-              Price History <span className="expand-icon">▼</span>
-            </button>
-          </div>
-        </div>
 
-        {/* Controls */}
-        <div className="controls">
-          <div className="control-group">
-            <button
-              type="button"
-              className={`control-btn ${action === 'buy' ? 'active' : ''}`}
-              onClick={() => setAction('buy')}
-            >
-              Buy
-            </button>
-            <button
-              type="button"
-              className={`control-btn ${action === 'sell' ? 'active' : ''}`}
-              onClick={() => setAction('sell')}
-            >
-              Sell
-            </button>
+          {showPriceHistory && debouncedTicker && (
+            <PriceHistoryPanel ticker={debouncedTicker} contract={historyContract} />
+          )}
+
+          {showSmile && debouncedTicker && expirationDate && (
+            <SmilePanel ticker={debouncedTicker} expirationDate={expirationDate} />
+          )}
+
+          {showTermStructure && debouncedTicker && (
+            <TermStructurePanel
+              ticker={debouncedTicker}
+              selectedExpiration={expirationDate}
+              onSelectExpiration={setExpirationDate}
+            />
+          )}
+
+          <PositionsPanel onSelectTicker={(t) => setTicker(t)} />
+
+          {/* Controls */}
+          <div className="controls">
+            <div className="control-group">
+              <button
+                type="button"
+                className={`control-btn ${action === 'buy' ? 'active' : ''}`}
+                onClick={() => setAction('buy')}
+              >
+                Buy
+              </button>
+              <button
+                type="button"
+                className={`control-btn ${action === 'sell' ? 'active' : ''}`}
+                onClick={() => setAction('sell')}
+              >
+                Sell
+              </button>
+            </div>
+
+            <div className="control-group">
+              <button
+                type="button"
+                className={`control-btn ${contractType === 'call' ? 'active' : ''}`}
+                onClick={() => setContractType('call')}
+              >
+                Call
+              </button>
+              <button
+                type="button"
+                className={`control-btn ${contractType === 'put' ? 'active' : ''}`}
+                onClick={() => setContractType('put')}
+              >
+                Put
+              </button>
+              <button
+                type="button"
+                className={`control-btn ${contractType === 'both' ? 'active' : ''}`}
+                onClick={() => setContractType('both')}
+              >
+                Both
+              </button>
+            </div>
+
+
+            <div className="control-group">
+              <select
+                className="expiration-select"
+                value={expirationDate}
+                onChange={(e) => setExpirationDate(e.target.value)}
+                onFocus={fetchExpirationStats}
+                disabled={!ticker || expirationDates.length === 0}
+              >
+                <option value="">Select expiration date...</option>
+                {Object.entries(EXPIRATION_CYCLE_LABELS).map(([cycle, label]) => {
+                  const dates = expirationDates.filter((date) => date.cycle === cycle);
+                  if (dates.length === 0) return null;
+                  return (
+                    <optgroup key={cycle} label={label}>
+                      {dates.map((date) => (
+                        <option
+                          key={date.date}
+                          value={date.date}
+                          title={
+                            date.strikeCount != null
+                              ? `${date.strikeCount} strikes · OI ${date.openInterest.toLocaleString()} · volume ${date.volume.toLocaleString()}`
+                              : undefined
+                          }
+                        >
+                          Expiring {date.formatted} ({date.daysUntil} trading {date.daysUntil === 1 ? 'day' : 'days'})
+                          {date.atmIv != null ? ` · IV ${formatProbability(date.atmIv)}` : ''}
+                        </option>
+                      ))}
+                    </optgroup>
+                  );
+                })}
+              </select>
+            </div>
+
+            <StrikeRangeControl value={strikeWindow} onChange={setStrikeWindow} />
+
+            <div className="control-group">
+              <button
+                type="button"
+                className={`control-btn live-toggle live-${streamStatus} ${liveQuotes ? 'active' : ''}`}
+                onClick={() => setLiveQuotes((v) => !v)}
+                title={liveQuotes ? `Live quotes: ${streamStatus}` : 'Live quotes paused'}
+              >
+                <span className="live-dot" />
+                Live
+              </button>
+            </div>
           </div>
 
-          <div className="control-group">
+          {/* Error Message */}
+          {error && (
+            <div className="error-message">
+              Error: {error}
+            </div>
+          )}
+
+          {/* Chain / Flow tabs */}
+          <div className="view-tabs control-group">
             <button
               type="button"
-              className={`control-btn ${contractType === 'call' ? 'active' : ''}`}
-              onClick={() => setContractType('call')}
+              className={`control-btn ${chainView === 'chain' ? 'active' : ''}`}
+              onClick={() => setChainView('chain')}
             >
-              Call
+              Chain
             </button>
             <button
               type="button"
-              className={`control-btn ${contractType === 'put' ? 'active' : ''}`}
-              onClick={() => setContractType('put')}
+              className={`control-btn ${chainView === 'flow' ? 'active' : ''}`}
+              onClick={() => setChainView('flow')}
+              disabled={!debouncedTicker}
             >
-              Put
+              Flow
             </button>
           </div>
 
+          {chainView === 'flow' && debouncedTicker ? (
+            <FlowPanel ticker={debouncedTicker} onLoadContract={onLoadFlowContract} />
+          ) : (
+            /* Chain + open interest profile + payoff diagram */
+            <div className="chain-layout">
+              <div className="chain-main">
+                {/* Loading State */}
+                {loading && (
+                  <div className="loading">
+                    Loading options data...
+                  </div>
+                )}
 
-          <div className="control-group">
-            <select
-              className="expiration-select"
-              value={expirationDate}
-              onChange={(e) => setExpirationDate(e.target.value)}
-              disabled={!ticker || expirationDates.length === 0}
-            >
-              <option value="">Select expiration date...</option>
-              {expirationDates.map((date) => (
-                <option key={date.date} value={date.date}>
-                  Expiring {date.formatted} ({date.daysUntil}d)
-                </option>
-              ))}
-            </select>
-          </div>
-        </div>
-
-        {/* Error Message */}
-        {error && (
-          <div className="error-message">
-            Error: {error}
-          </div>
-        )}
-
-        {/* Loading State */}
-        {loading && (
-          <div className="loading">
-            Loading options data...
-          </div>
-        )}
-
-        {/* Options Table */}
-        {!loading && options.length > 0 && (
-          <div className="options-table-container">
-            <table className="options-table">
-              <thead>
-                <tr>
-                  <th>Strike price</th>
-                  <th>Breakeven</th>
-                  <th>To breakeven</th>
-                  <th>% Change</th>
-                  <th>Change</th>
-                  <th>Ask Price</th>
-                </tr>
-              </thead>
-              <tbody>
-                {options.map((option, index) => (
-                  <Fragment key={option.ticker}>
-                    {index === sharePricePosition && underlyingPrice && (
-                      <tr className="share-price-row">
-                        <td colSpan="6" className="share-price-indicator">
-                          <div className="share-price-line"></div>
-                          <div className="share-price-label">
-                            Share price: {formatCurrency(underlyingPrice)}
-                          </div>
-                        </td>
-                      </tr>
+                {/* Options Table */}
+                {!loading && options.length > 0 && (
+                  <div className="options-table-container">
+                    {contractType === 'both' ? (
+                      <MirroredChainTable
+                        rows={chainRows}
+                        underlyingPrice={underlyingPrice}
+                        sharePricePosition={rowSharePricePosition}
+                        expectedMove={expectedMove}
+                        expectedMovePositions={rowExpectedMovePositions}
+                        highlightContract={highlightContract}
+                        getPriceDisplay={getPriceDisplay}
+                        onAddOption={onAddOptionToTicket}
+                        flashClass={flashClass}
+                      />
+                    ) : (
+                      <table className="options-table">
+                        <thead>
+                          <tr>
+                            <th>Strike price</th>
+                            <th>Breakeven</th>
+                            <th>To breakeven</th>
+                            <th>IV</th>
+                            <th>Delta</th>
+                            <th>Prob. ITM</th>
+                            <th>Prob. touch</th>
+                            <th>Prob. profit</th>
+                            {tableAction === 'sell' ? (
+                              <>
+                                <th>Max profit</th>
+                                <th>Max loss</th>
+                                <th>Credit (bid)</th>
+                              </>
+                            ) : (
+                              <>
+                                <th>% Change</th>
+                                <th>Change</th>
+                                <th>Ask Price</th>
+                              </>
+                            )}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {options.map((option, index) => (
+                            <Fragment key={option.ticker}>
+                              {index === expectedMovePositions.upper && (
+                                <ExpectedMoveRow boundary="upper" move={expectedMove} colSpan={11} />
+                              )}
+                              {index === sharePricePosition && underlyingPrice && (
+                                <tr className="share-price-row">
+                                  <td colSpan="11" className="share-price-indicator">
+                                    <div className="share-price-line"></div>
+                                    <div className="share-price-label">
+                                      Share price: {formatCurrency(underlyingPrice)}
+                                    </div>
+                                  </td>
+                                </tr>
+                              )}
+                              {index === expectedMovePositions.lower && (
+                                <ExpectedMoveRow boundary="lower" move={expectedMove} colSpan={11} />
+                              )}
+                              <tr
+                                className={option.ticker === highlightContract ? 'chain-highlight' : undefined}
+                                title={option.winCondition ? `Wins if ${option.winCondition}` : undefined}
+                              >
+                                <td>{formatCurrency(option.strikePrice)}</td>
+                                <td className={flashClass(option.ticker, 'breakeven')}>{formatCurrency(option.breakeven)}</td>
+                                <td className={flashClass(option.ticker, 'toBreakeven')}>{formatPercent(option.toBreakeven)}</td>
+                                <td>
+                                  {option.impliedVolatility != null ? formatProbability(option.impliedVolatility) : '-'}
+                                  <ComputedMark source={option.ivSource} />
+                                </td>
+                                <td>
+                                  {formatGreek(option.delta)}
+                                  <ComputedMark source={option.greeksSource} />
+                                </td>
+                                <td>{formatProbability(option.probabilityITM)}</td>
+                                <td>{formatProbability(option.probabilityTouch)}</td>
+                                <td>{formatProbability(option.probabilityOfProfit)}</td>
+                                {option.action === 'sell' ? (
+                                  <>
+                                    <td className="positive">{formatMaxValue(option.maxProfit)}</td>
+                                    <td className="negative">{formatMaxValue(option.maxLoss)}</td>
+                                  </>
+                                ) : (
+                                  <>
+                                    <td className={`${option.percentChange < 0 ? 'negative' : 'positive'} ${flashClass(option.ticker, 'percentChange')}`}>
+                                      {formatPercent(option.percentChange)}
+                                    </td>
+                                    <td className={`${option.priceChange < 0 ? 'negative' : 'positive'} ${flashClass(option.ticker, 'priceChange')}`}>
+                                      {formatCurrency(option.priceChange)}
+                                    </td>
+                                  </>
+                                )}
+                                <td className={flashClass(option.ticker, option.action === 'sell' ? 'optionPrice' : 'askPrice')}>
+                                  <div className="price-cell">
+                                    {getPriceDisplay(option)}
+                                    <button
+                                      type="button"
+                                      className="add-btn"
+                                      onClick={() => onAddOptionToTicket(option)}
+                                      aria-label={`Add ${option.contractType} ${option.expirationDate} ${option.strikePrice} to strategy ticket`}
+                                    >
+                                      +
+                                    </button>
+                                  </div>
+                                </td>
+                              </tr>
+                            </Fragment>
+                          ))}
+                          {expectedMovePositions.upper === options.length && (
+                            <ExpectedMoveRow boundary="upper" move={expectedMove} colSpan={11} />
+                          )}
+                          {sharePricePosition === options.length && underlyingPrice && (
+                            <tr className="share-price-row">
+                              <td colSpan="11" className="share-price-indicator">
+                                <div className="share-price-line"></div>
+                                <div className="share-price-label">
+                                  Share price: {formatCurrency(underlyingPrice)}
+                                </div>
+                              </td>
+                            </tr>
+                          )}
+                          {expectedMovePositions.lower === options.length && (
+                            <ExpectedMoveRow boundary="lower" move={expectedMove} colSpan={11} />
+                          )}
+                        </tbody>
+                      </table>
                     )}
-                    <tr>
-                      <td>{formatCurrency(option.strikePrice)}</td>
-                      <td>{formatCurrency(option.breakeven)}</td>
-                      <td>{formatPercent(option.toBreakeven)}</td>
-                      <td className={option.percentChange < 0 ? 'negative' : 'positive'}>
-                        {formatPercent(option.percentChange)}
-                      </td>
-                      <td className={option.priceChange < 0 ? 'negative' : 'positive'}>
-                        {formatCurrency(option.priceChange)}
-                      </td>
-                      <td>
-                        <div className="price-cell">
-                          {getPriceDisplay(option)}
-                          <button
-                            type="button"
-                            className="add-btn"
-                            onClick={() => onAddOptionToChat(option)}
-                            aria-label={`Add ${option.contractType} ${option.expirationDate} ${option.strikePrice} to chat`}
-                          >
-                            +
-                          </button>
-                        </div>
-                      </td>
-                    </tr>
-                  </Fragment>
-                ))}
-                {sharePricePosition === options.length && underlyingPrice && (
-                  <tr className="share-price-row">
-                    <td colSpan="6" className="share-price-indicator">
-                      <div className="share-price-line"></div>
-                      <div className="share-price-label">
-                        Share price: {formatCurrency(underlyingPrice)}
+                    {options.some((o) => o.ivSource === 'computed' || o.greeksSource === 'computed') && (
+                      <div className="table-footnote">
+                        * Computed locally with Black-Scholes from the bid/ask/close because Polygon did not report it.
                       </div>
-                    </td>
-                  </tr>
+                    )}
+                  </div>
                 )}
-              </tbody>
-            </table>
-          </div>
-        )}
 
-        {!loading && !error && options.length === 0 && expirationDate && (
-          <div className="no-data">
-            No options found for the selected criteria.
-          </div>
-        )}
-
-        {/* Chatbox */}
-        <div className="chatbox">
-          <div className="chatbox-header">
-            <div className="chatbox-title">Chat</div>
-            <button type="button" className="chatbox-clear" onClick={onClearChat}>
-              Clear
-            </button>
-          </div>
-
-          <div className="chatbox-messages" role="log" aria-live="polite">
-            {chatMessages.map((m) => (
-              <div key={m.id} className={`chatmsg chatmsg-${m.role}`}>
-                <div className="chatmsg-role">{m.role}</div>
-                <pre className="chatmsg-content">{m.content}</pre>
+                {!loading && !error && options.length === 0 && expirationDate && (
+                  <div className="no-data">
+                    No options found for the selected criteria.
+                  </div>
+                )}
               </div>
-            ))}
-            <div ref={chatEndRef} />
-          </div>
 
-          <div className="chatbox-input">
-            <textarea
-              className="chatbox-textarea"
-              value={chatDraft}
-              onChange={(e) => setChatDraft(e.target.value)}
-              placeholder='Click "+" on a contract to populate details here…'
-              rows={6}
+              {/* Open interest / gamma exposure by strike */}
+              {showOpenInterest && debouncedTicker && expirationDate && (
+                <OpenInterestPanel ticker={debouncedTicker} expirationDate={expirationDate} />
+              )}
+
+              {/* Payoff Diagram */}
+              {strategyAnalysis && (
+                <PayoffChart
+                  analysis={strategyAnalysis}
+                  underlyingPrice={strategyAnalysis.underlyingPrice}
+                  horizons={payoffHorizons}
+                  onChangeHorizons={setPayoffHorizons}
+                />
+              )}
+            </div>
+          )}
+
+          {/* Strategy Ticket */}
+          <StrategyTicket
+            legs={strategyLegs}
+            analysis={strategyAnalysis}
+            loading={strategyLoading}
+            error={strategyError}
+            onChangeLeg={onChangeLeg}
+            onRemoveLeg={onRemoveLeg}
+            onClear={() => setStrategyLegs([])}
+            onAnalyzeInChat={onAnalyzeStrategyInChat}
+          />
+
+          {/* Chatbox */}
+          <div className="chatbox">
+            <div className="chatbox-header">
+              <div className="chatbox-title">Chat</div>
+              {chatModels.length > 1 && (
+                <select
+                  className="chatbox-model"
+                  value={chatModel}
+                  onChange={(e) => setChatModel(e.target.value)}
+                  disabled={chatSending}
+                  aria-label="Chat model"
+                >
+                  {chatModels.map((m) => (
+                    <option key={m} value={m}>
+                      {m}
+                    </option>
+                  ))}
+                </select>
+              )}
+            </div>
+
+            <ChatSessionBar
+              sessions={chatSessions}
+              activeId={activeSessionId}
               disabled={chatSending}
+              onSelect={onSelectChatSession}
+              onNew={onNewChat}
+              onRename={onRenameChatSession}
+              onDelete={onDeleteChatSession}
             />
-            <div className="chatbox-actions">
-              <button type="button" className="chatbox-send" onClick={onSendChat} disabled={chatSending}>
-                {chatSending ? 'Sending…' : 'Send'}
-              </button>
+
+            <div className="chatbox-messages" role="log" aria-live="polite">
+              {chatSummarized > 0 && (
+                <div className="chat-sessions-note">
+                  {chatSummarized} earlier message{chatSummarized === 1 ? ' is' : 's are'} summarized for the assistant
+                </div>
+              )}
+              {chatMessages.map((m) => (
+                <div key={m.id} className={`chatmsg chatmsg-${m.role}`}>
+                  <div className="chatmsg-role">
+                    {m.role}
+                    {m.streaming && <span className="chatmsg-status"> · typing…</span>}
+                    {m.stopped && <span className="chatmsg-status"> · stopped</span>}
+                  </div>
+                  {m.toolCalls?.length > 0 && (
+                    <ul className="chatmsg-tools">
+                      {m.toolCalls.map((call, i) => (
+                        <li key={i} className={call.error ? 'chatmsg-tool-error' : undefined}>
+                          <span className="chatmsg-tool-name">{call.name}</span>
+                          {call.error ? ` failed: ${call.error}` : call.summary ? ` → ${call.summary}` : ''}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  <pre className="chatmsg-content">{m.content}</pre>
+                </div>
+              ))}
+              <div ref={chatEndRef} />
+            </div>
+
+            <div className="chatbox-input">
+              <textarea
+                className="chatbox-textarea"
+                value={chatDraft}
+                onChange={(e) => setChatDraft(e.target.value)}
+                placeholder='Click "+" on a contract to populate details here…'
+                rows={6}
+                disabled={chatSending}
+              />
+              <div className="chatbox-actions">
+                {chatSending ? (
+                  <button type="button" className="chatbox-stop" onClick={onStopChat}>
+                    Stop
+                  </button>
+                ) : (
+                  <button type="button" className="chatbox-send" onClick={onSendChat}>
+                    Send
+                  </button>
+                )}
+              </div>
             </div>
           </div>
         </div>
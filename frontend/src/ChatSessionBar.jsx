@@ -0,0 +1,45 @@
+// Saved chat sessions: pick one to load it, start a new one, rename, delete or export it
+function ChatSessionBar({ sessions, activeId, disabled, onSelect, onNew, onRename, onDelete }) {
+  const active = sessions.find((s) => s.id === activeId);
+  const exportUrl = (format) => `/api/chat/sessions/${encodeURIComponent(activeId)}/export?format=${format}`;
+
+  return (
+    <div className="chat-sessions">
+      <select
+        className="chat-sessions-select"
+        value={activeId || ''}
+        onChange={(e) => onSelect(e.target.value || null)}
+        disabled={disabled}
+        aria-label="Chat session"
+      >
+        <option value="">Unsaved chat</option>
+        {sessions.map((s) => (
+          <option key={s.id} value={s.id}>
+            {s.name} ({s.messageCount})
+          </option>
+        ))}
+      </select>
+      <button type="button" className="chatbox-clear" onClick={onNew} disabled={disabled}>
+        New
+      </button>
+      {active && (
+        <>
+          <button type="button" className="chatbox-clear" onClick={() => onRename(active)} disabled={disabled}>
+            Rename
+          </button>
+          <button type="button" className="chatbox-clear" onClick={() => onDelete(active)} disabled={disabled}>
+            Delete
+          </button>
+          <a className="chatbox-clear chat-sessions-export" href={exportUrl('markdown')} download>
+            .md
+          </a>
+          <a className="chatbox-clear chat-sessions-export" href={exportUrl('json')} download>
+            .json
+          </a>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ChatSessionBar;
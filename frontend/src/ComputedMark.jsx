@@ -0,0 +1,9 @@
+// Marks values the backend derived itself (not reported by Polygon)
+function ComputedMark({ source }) {
+  if (source !== 'computed') return null;
+  return (
+    <span className="computed-mark" title="Computed locally (Black-Scholes)">*</span>
+  );
+}
+
+export default ComputedMark;
@@ -0,0 +1,30 @@
+import { formatCurrency } from './format';
+
+// Divider row at one expected-move boundary (spot ± ATM straddle) of the chain's expiration,
+// with the IV-based 1σ level alongside
+function ExpectedMoveRow({ boundary, move, colSpan }) {
+  const upper = boundary === 'upper';
+  const level = upper ? move.upper : move.lower;
+  const oneSigma = upper ? move.oneSigmaUpper : move.oneSigmaLower;
+  const title =
+    `ATM ${formatCurrency(move.strike)} straddle ${formatCurrency(move.straddlePrice)} ` +
+    `(call ${formatCurrency(move.callPrice)} + put ${formatCurrency(move.putPrice)})` +
+    (move.oneSigmaMove != null
+      ? ` · 1σ move ±${formatCurrency(move.oneSigmaMove)} (${move.oneSigmaPercent.toFixed(1)}%) at ${(move.impliedVolatility * 100).toFixed(1)}% IV`
+      : '');
+
+  return (
+    <tr className="expected-move-row">
+      <td colSpan={colSpan} className="share-price-indicator" title={title}>
+        <div className="expected-move-line"></div>
+        <div className="expected-move-label">
+          Expected move {upper ? '↑' : '↓'} {formatCurrency(level)} ({upper ? '+' : '-'}
+          {formatCurrency(move.straddlePrice)}, {move.movePercent.toFixed(1)}%)
+          {oneSigma != null && <span className="expected-move-sigma"> · 1σ {formatCurrency(oneSigma)}</span>}
+        </div>
+      </td>
+    </tr>
+  );
+}
+
+export default ExpectedMoveRow;
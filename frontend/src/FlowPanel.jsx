@@ -0,0 +1,127 @@
+import { useState, useEffect, useCallback } from 'react';
+import { formatCurrency } from './format';
+
+const FLAG_LABELS = {
+  volume_oi: 'Vol > OI',
+  volume_average: 'Vol vs avg',
+  premium: 'Premium',
+};
+
+const formatPremium = (value) => {
+  if (value == null) return '-';
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(2)}M`;
+  if (value >= 1e3) return `$${(value / 1e3).toFixed(0)}K`;
+  return formatCurrency(value);
+};
+
+const formatRatio = (value) => (value == null ? '-' : `${value.toFixed(2)}×`);
+
+// Unusual options activity across every expiration (/api/unusual-activity), ranked by score.
+// Clicking a contract loads it into the chain through `onLoadContract(contract, underlyingPrice)`.
+function FlowPanel({ ticker, onLoadContract }) {
+  const [scan, setScan] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    if (!ticker) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const resp = await fetch(`/api/unusual-activity?ticker=${encodeURIComponent(ticker)}`);
+      const body = await resp.json();
+      if (!resp.ok) throw new Error(body.error || `Flow error: ${resp.status}`);
+      setScan(body);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [ticker]);
+
+  useEffect(() => {
+    setScan(null);
+    refresh();
+  }, [refresh]);
+
+  const contracts = scan?.ticker === ticker ? scan.contracts : [];
+
+  return (
+    <div className="flow-panel">
+      <div className="strategy-ticket-header">
+        <div className="strategy-ticket-title">
+          Unusual activity
+          {scan && (
+            <span className="positions-status">
+              {' '}
+              · {scan.flagged} of {scan.scanned} contracts flagged
+            </span>
+          )}
+          {loading && <span className="positions-status"> · scanning…</span>}
+        </div>
+        <div className="strategy-ticket-actions">
+          <button type="button" className="chatbox-clear" onClick={refresh} disabled={loading}>
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="strategy-error">Error: {error}</div>}
+      {!error && !loading && scan && contracts.length === 0 && (
+        <div className="positions-empty">No unusual activity in {ticker} today.</div>
+      )}
+
+      {contracts.length > 0 && (
+        <table className="strategy-legs flow-table">
+          <thead>
+            <tr>
+              <th>Contract</th>
+              <th>Volume</th>
+              <th>OI</th>
+              <th>Vol/OI</th>
+              <th>Avg vol</th>
+              <th>Premium</th>
+              <th>Flags</th>
+              <th>Score</th>
+            </tr>
+          </thead>
+          <tbody>
+            {contracts.map((c) => (
+              <tr key={c.ticker}>
+                <td>
+                  <button
+                    type="button"
+                    className="positions-contract"
+                    onClick={() => onLoadContract(c, scan.underlyingPrice)}
+                    title={`Load ${c.ticker} into the chain`}
+                  >
+                    {c.expirationDate} {formatCurrency(c.strikePrice)} {c.contractType.toUpperCase()}
+                  </button>
+                </td>
+                <td>{c.volume.toLocaleString()}</td>
+                <td>{c.openInterest.toLocaleString()}</td>
+                <td title={c.noOpenInterest ? 'No open interest: every contract traded today opened a position' : undefined}>
+                  {c.noOpenInterest ? 'New' : formatRatio(c.volumeOiRatio)}
+                </td>
+                <td title={c.volumeMultiple != null ? `${formatRatio(c.volumeMultiple)} average` : 'No volume history'}>
+                  {c.averageVolume != null ? Math.round(c.averageVolume).toLocaleString() : '-'}
+                </td>
+                <td title={c.price != null ? `${formatCurrency(c.price)} average price` : undefined}>{formatPremium(c.premium)}</td>
+                <td>
+                  {c.flags.map((flag) => (
+                    <span key={flag} className={`flow-flag flow-flag-${flag}`}>
+                      {FLAG_LABELS[flag] || flag}
+                    </span>
+                  ))}
+                </td>
+                <td>{c.score.toFixed(1)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default FlowPanel;
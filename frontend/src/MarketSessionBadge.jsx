@@ -0,0 +1,36 @@
+const STATE_LABELS = {
+  pre: 'Pre-market',
+  regular: 'Market open',
+  post: 'After hours',
+  closed: 'Market closed',
+};
+
+const formatEt = (iso, withDay) =>
+  new Date(iso).toLocaleString('en-US', {
+    timeZone: 'America/New_York',
+    ...(withDay ? { weekday: 'short' } : {}),
+    hour: 'numeric',
+    minute: '2-digit',
+  }) + ' ET';
+
+const etDate = (iso) => new Date(iso).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+
+// Session state from the backend market calendar, with the next open/close
+function MarketSessionBadge({ session }) {
+  if (!session) return null;
+
+  const next =
+    session.state === 'regular'
+      ? `closes ${formatEt(session.nextClose, false)}${session.earlyClose ? ' (early close)' : ''}`
+      : `opens ${formatEt(session.nextOpen, etDate(session.nextOpen) !== session.date)}`;
+
+  return (
+    <div className={`market-session market-session-${session.state}`} title={session.holiday || undefined}>
+      <span className="market-session-dot" />
+      {STATE_LABELS[session.state]}
+      {session.holiday ? ` (${session.holiday})` : ''} · {next}
+    </div>
+  );
+}
+
+export default MarketSessionBadge;
@@ -0,0 +1,125 @@
+import { Fragment } from 'react';
+import ComputedMark from './ComputedMark';
+import ExpectedMoveRow from './ExpectedMoveRow';
+import { formatCurrency, formatProbability, formatGreek } from './format';
+
+const SIDE_COLUMNS = 5;
+const TOTAL_COLUMNS = SIDE_COLUMNS * 2 + 1;
+
+// Classic mirrored chain: calls on the left, strike in the middle, puts on the right
+function MirroredChainTable({
+  rows,
+  underlyingPrice,
+  sharePricePosition,
+  expectedMove,
+  expectedMovePositions,
+  highlightContract,
+  getPriceDisplay,
+  onAddOption,
+  flashClass,
+}) {
+  const priceCell = (option) => (
+    <td className={option ? flashClass(option.ticker, option.action === 'sell' ? 'optionPrice' : 'askPrice') : undefined}>
+      {option ? (
+        <div className="price-cell">
+          {getPriceDisplay(option)}
+          <button
+            type="button"
+            className="add-btn"
+            onClick={() => onAddOption(option)}
+            aria-label={`Add ${option.contractType} ${option.expirationDate} ${option.strikePrice} to strategy ticket`}
+          >
+            +
+          </button>
+        </div>
+      ) : (
+        '-'
+      )}
+    </td>
+  );
+
+  const detailCells = (option) => {
+    if (!option) return [0, 1, 2, 3].map((i) => <td key={i}>-</td>);
+    return [
+      <td key="pop">{formatProbability(option.probabilityOfProfit)}</td>,
+      <td key="delta">
+        {formatGreek(option.delta)}
+        <ComputedMark source={option.greeksSource} />
+      </td>,
+      <td key="iv">
+        {option.impliedVolatility != null ? formatProbability(option.impliedVolatility) : '-'}
+        <ComputedMark source={option.ivSource} />
+      </td>,
+      <td key="be" className={flashClass(option.ticker, 'breakeven')}>{formatCurrency(option.breakeven)}</td>,
+    ];
+  };
+
+  const sharePriceRow = (
+    <tr className="share-price-row">
+      <td colSpan={TOTAL_COLUMNS} className="share-price-indicator">
+        <div className="share-price-line"></div>
+        <div className="share-price-label">
+          Share price: {formatCurrency(underlyingPrice)}
+        </div>
+      </td>
+    </tr>
+  );
+
+  // Boundary rows wrap the share-price row: upper above it, lower below
+  const expectedMoveRow = (boundary, position) =>
+    expectedMove && expectedMovePositions[boundary] === position ? (
+      <ExpectedMoveRow boundary={boundary} move={expectedMove} colSpan={TOTAL_COLUMNS} />
+    ) : null;
+
+  return (
+    <table className="options-table mirrored-chain">
+      <thead>
+        <tr>
+          <th colSpan={SIDE_COLUMNS} className="mirrored-side-header">Calls</th>
+          <th />
+          <th colSpan={SIDE_COLUMNS} className="mirrored-side-header">Puts</th>
+        </tr>
+        <tr>
+          <th>Prob. profit</th>
+          <th>Delta</th>
+          <th>IV</th>
+          <th>Breakeven</th>
+          <th>Price</th>
+          <th className="mirrored-strike">Strike</th>
+          <th>Price</th>
+          <th>Breakeven</th>
+          <th>IV</th>
+          <th>Delta</th>
+          <th>Prob. profit</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row, index) => (
+          <Fragment key={row.strikePrice}>
+            {expectedMoveRow('upper', index)}
+            {index === sharePricePosition && underlyingPrice && sharePriceRow}
+            {expectedMoveRow('lower', index)}
+            <tr
+              className={
+                highlightContract && [row.call?.ticker, row.put?.ticker].includes(highlightContract)
+                  ? 'chain-highlight'
+                  : undefined
+              }
+            >
+              {detailCells(row.call)}
+              {priceCell(row.call)}
+              <td className="mirrored-strike">{formatCurrency(row.strikePrice)}</td>
+              {priceCell(row.put)}
+              {detailCells(row.put).reverse()}
+            </tr>
+          </Fragment>
+        ))}
+        {expectedMoveRow('upper', rows.length)}
+        {sharePricePosition === rows.length && underlyingPrice && sharePriceRow}
+        {expectedMoveRow('lower', rows.length)}
+      </tbody>
+    </table>
+  );
+}
+
+export default MirroredChainTable;
@@ -0,0 +1,204 @@
+import { useState, useEffect } from 'react';
+import { formatCurrency } from './format';
+
+const WIDTH = 360;
+const ROW_HEIGHT = 14;
+const PAD = { top: 8, right: 8, bottom: 8, left: 52 };
+
+// Signed dollars in K/M/B: GEX runs from thousands to billions
+const formatGex = (value) => {
+  if (value == null) return '-';
+  const sign = value < 0 ? '-' : '';
+  const abs = Math.abs(value);
+  if (abs >= 1e9) return `${sign}$${(abs / 1e9).toFixed(2)}B`;
+  if (abs >= 1e6) return `${sign}$${(abs / 1e6).toFixed(2)}M`;
+  if (abs >= 1e3) return `${sign}$${(abs / 1e3).toFixed(0)}K`;
+  return `${sign}$${abs.toFixed(0)}`;
+};
+
+const formatRatio = (value) => (value == null ? '-' : value.toFixed(2));
+
+// Open-interest profile of one expiration (/api/open-interest) as horizontal bars per strike,
+// highest strike on top like the chain: call vs put OI, or net dealer gamma exposure. Spot and
+// max pain are marked, and the gamma flip in GEX mode.
+function OpenInterestPanel({ ticker, expirationDate }) {
+  const [mode, setMode] = useState('oi'); // 'oi' | 'gex'
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!ticker || !expirationDate) return undefined;
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+    fetch(`/api/open-interest?${new URLSearchParams({ ticker, expirationDate })}`, { signal: controller.signal })
+      .then(async (resp) => {
+        const data = await resp.json();
+        if (!resp.ok) throw new Error(data.error || `Open interest error: ${resp.status}`);
+        setProfile(data);
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') setError(err.message);
+      })
+      .finally(() => setLoading(false));
+    return () => controller.abort();
+  }, [ticker, expirationDate]);
+
+  const current = profile?.ticker === ticker && profile?.expirationDate === expirationDate ? profile : null;
+  const byGex = mode === 'gex';
+  const strikes = current ? [...current.strikes].reverse() : []; // highest strike first
+
+  let chart = null;
+  if (strikes.length > 0) {
+    const height = PAD.top + strikes.length * ROW_HEIGHT + PAD.bottom;
+    const center = PAD.left + (WIDTH - PAD.left - PAD.right) / 2;
+    const halfW = (WIDTH - PAD.left - PAD.right) / 2;
+    const maxValue = byGex
+      ? Math.max(...strikes.map((s) => Math.abs(s.netGex)))
+      : Math.max(...strikes.flatMap((s) => [s.callOpenInterest, s.putOpenInterest]));
+    const len = (v) => (maxValue > 0 ? (Math.abs(v) / maxValue) * halfW : 0);
+    const rowY = (i) => PAD.top + i * ROW_HEIGHT;
+
+    // Vertical position of a price between the rows of the strikes around it
+    const priceY = (price) => {
+      if (price == null) return null;
+      const mid = (i) => rowY(i) + ROW_HEIGHT / 2;
+      if (price >= strikes[0].strike) return mid(0);
+      for (let i = 0; i < strikes.length - 1; i++) {
+        const hi = strikes[i].strike;
+        const lo = strikes[i + 1].strike;
+        if (price <= hi && price >= lo) return mid(i) + ((hi - price) / (hi - lo)) * ROW_HEIGHT;
+      }
+      return mid(strikes.length - 1);
+    };
+
+    const markers = [
+      { key: 'spot', className: 'oi-spot', price: current.underlyingPrice, label: `Spot ${formatCurrency(current.underlyingPrice)}` },
+      { key: 'maxPain', className: 'oi-max-pain', price: current.maxPain, label: `Max pain ${formatCurrency(current.maxPain)}` },
+      byGex && { key: 'flip', className: 'oi-flip', price: current.gammaFlip, label: `Flip ${formatCurrency(current.gammaFlip)}` },
+    ].filter((m) => m && m.price != null);
+
+    chart = (
+      <div className="oi-chart">
+        <svg
+          viewBox={`0 0 ${WIDTH} ${height}`}
+          className="payoff-svg"
+          role="img"
+          aria-label={`${ticker} ${expirationDate} ${byGex ? 'gamma exposure' : 'open interest'} by strike`}
+        >
+          <line x1={center} x2={center} y1={PAD.top} y2={height - PAD.bottom} className="history-grid" />
+          {strikes.map((s, i) => (
+            <g key={s.strike}>
+              <text x={PAD.left - 6} y={rowY(i) + ROW_HEIGHT / 2} className="payoff-axis" textAnchor="end" dominantBaseline="middle">
+                {s.strike}
+              </text>
+              {byGex ? (
+                <rect
+                  x={s.netGex >= 0 ? center : center - len(s.netGex)}
+                  y={rowY(i) + 2}
+                  width={len(s.netGex)}
+                  height={ROW_HEIGHT - 4}
+                  className={s.netGex >= 0 ? 'oi-bar-positive' : 'oi-bar-negative'}
+                >
+                  <title>
+                    {formatCurrency(s.strike)}: net GEX {formatGex(s.netGex)} (calls {formatGex(s.callGex)}, puts {formatGex(s.putGex)})
+                  </title>
+                </rect>
+              ) : (
+                <>
+                  <rect x={center - len(s.putOpenInterest)} y={rowY(i) + 2} width={len(s.putOpenInterest)} height={ROW_HEIGHT - 4} className="oi-bar-put">
+                    <title>
+                      {formatCurrency(s.strike)} puts: OI {s.putOpenInterest.toLocaleString()} · volume {s.putVolume.toLocaleString()}
+                    </title>
+                  </rect>
+                  <rect x={center} y={rowY(i) + 2} width={len(s.callOpenInterest)} height={ROW_HEIGHT - 4} className="oi-bar-call">
+                    <title>
+                      {formatCurrency(s.strike)} calls: OI {s.callOpenInterest.toLocaleString()} · volume {s.callVolume.toLocaleString()}
+                    </title>
+                  </rect>
+                </>
+              )}
+            </g>
+          ))}
+          {/* Labels alternate sides so nearby markers stay readable */}
+          {markers.map((m, i) => (
+            <g key={m.key} className={m.className}>
+              <line x1={PAD.left} x2={WIDTH - PAD.right} y1={priceY(m.price)} y2={priceY(m.price)} />
+              <text
+                x={i % 2 ? PAD.left + 2 : WIDTH - PAD.right - 2}
+                y={priceY(m.price) - 3}
+                className="payoff-marker-label"
+                textAnchor={i % 2 ? 'start' : 'end'}
+              >
+                {m.label}
+              </text>
+            </g>
+          ))}
+        </svg>
+      </div>
+    );
+  }
+
+  return (
+    <div className="oi-profile">
+      <div className="payoff-chart-header">
+        <div className="payoff-chart-title">
+          {byGex ? 'Gamma exposure' : 'Open interest'}
+          {loading && <span className="positions-status"> · loading…</span>}
+        </div>
+        <div className="control-group">
+          <button type="button" className={`control-btn ${!byGex ? 'active' : ''}`} onClick={() => setMode('oi')}>
+            OI
+          </button>
+          <button type="button" className={`control-btn ${byGex ? 'active' : ''}`} onClick={() => setMode('gex')}>
+            GEX
+          </button>
+        </div>
+      </div>
+
+      {current && (
+        <div className="oi-metrics">
+          <span title="Strike where the open contracts' value at expiry is smallest">
+            <span className="volatility-label">Max pain</span> {formatCurrency(current.maxPain)}
+          </span>
+          <span>
+            <span className="volatility-label">P/C OI</span> {formatRatio(current.putCallOiRatio)}
+          </span>
+          <span>
+            <span className="volatility-label">P/C Vol</span> {formatRatio(current.putCallVolumeRatio)}
+          </span>
+          <span title="Dealer dollar gamma per 1% move, assuming dealers are long calls and short puts">
+            <span className="volatility-label">Net GEX</span> {formatGex(current.totals.netGex)}
+          </span>
+          <span title="Price where cumulative net GEX changes sign">
+            <span className="volatility-label">Flip</span> {formatCurrency(current.gammaFlip)}
+          </span>
+        </div>
+      )}
+      {current && (
+        <div className="oi-legend">
+          {byGex ? (
+            <>
+              <span className="oi-legend-negative">Short gamma</span>
+              <span className="oi-legend-positive">Long gamma</span>
+            </>
+          ) : (
+            <>
+              <span className="oi-legend-put">Puts</span>
+              <span className="oi-legend-call">Calls</span>
+            </>
+          )}
+        </div>
+      )}
+
+      {error && <div className="strategy-error">Error: {error}</div>}
+      {!error && !loading && current && strikes.length === 0 && (
+        <div className="positions-empty">No open interest for this expiration.</div>
+      )}
+      {chart}
+    </div>
+  );
+}
+
+export default OpenInterestPanel;
@@ -0,0 +1,145 @@
+import { useState } from 'react';
+import { formatCurrency, formatSignedCurrency } from './format';
+
+const WIDTH = 520;
+const HEIGHT = 320;
+const PAD = { top: 16, right: 16, bottom: 36, left: 64 };
+const CURVE_COLORS = ['#f97316', '#38bdf8', '#a78bfa', '#facc15', '#f472b6', '#34d399', '#94a3b8'];
+
+// P&L vs underlying price at expiration, today and chosen T+n dates (from /api/strategy)
+function PayoffChart({ analysis, underlyingPrice, horizons, onChangeHorizons }) {
+  const [horizonDraft, setHorizonDraft] = useState(horizons.join(', '));
+
+  const payoff = analysis?.payoff;
+  if (!payoff || payoff.prices.length === 0) return null;
+
+  const { prices, curves } = payoff;
+  const allPnl = curves.flatMap((c) => c.pnl);
+  const minPnl = Math.min(0, ...allPnl);
+  const maxPnl = Math.max(0, ...allPnl);
+  const pnlPad = (maxPnl - minPnl) * 0.08 || 1;
+  const yMin = minPnl - pnlPad;
+  const yMax = maxPnl + pnlPad;
+  const xMin = prices[0];
+  const xMax = prices[prices.length - 1];
+
+  const plotW = WIDTH - PAD.left - PAD.right;
+  const plotH = HEIGHT - PAD.top - PAD.bottom;
+  const x = (price) => PAD.left + ((price - xMin) / (xMax - xMin)) * plotW;
+  const y = (pnl) => PAD.top + ((yMax - pnl) / (yMax - yMin)) * plotH;
+  const inRange = (price) => price != null && price >= xMin && price <= xMax;
+
+  const path = (pnl) => pnl.map((v, i) => `${i === 0 ? 'M' : 'L'}${x(prices[i]).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+
+  const strikes = [...new Set(analysis.legs.map((l) => l.strikePrice))];
+  const xTicks = [0, 0.25, 0.5, 0.75, 1].map((f) => xMin + (xMax - xMin) * f);
+
+  const applyHorizons = () => {
+    const days = horizonDraft
+      .split(/[\s,]+/)
+      .map((d) => Number(d))
+      .filter((d) => Number.isInteger(d) && d > 0)
+      .slice(0, 6);
+    onChangeHorizons(days);
+  };
+
+  return (
+    <div className="payoff-chart">
+      <div className="payoff-chart-header">
+        <div className="payoff-chart-title">P&amp;L diagram</div>
+        <div className="payoff-horizons">
+          <label htmlFor="payoff-horizons-input">T+ days</label>
+          <input
+            id="payoff-horizons-input"
+            type="text"
+            className="payoff-horizons-input"
+            placeholder="e.g. 7, 14"
+            value={horizonDraft}
+            onChange={(e) => setHorizonDraft(e.target.value)}
+            onBlur={applyHorizons}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') applyHorizons();
+            }}
+          />
+        </div>
+      </div>
+
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="payoff-svg" role="img" aria-label="Profit and loss diagram">
+        {/* Zero line */}
+        <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(0)} y2={y(0)} className="payoff-zero" />
+
+        {/* Axes labels */}
+        <text x={PAD.left - 6} y={y(maxPnl)} className="payoff-axis" textAnchor="end" dominantBaseline="middle">
+          {formatSignedCurrency(maxPnl)}
+        </text>
+        <text x={PAD.left - 6} y={y(0)} className="payoff-axis" textAnchor="end" dominantBaseline="middle">
+          $0
+        </text>
+        <text x={PAD.left - 6} y={y(minPnl)} className="payoff-axis" textAnchor="end" dominantBaseline="middle">
+          {formatSignedCurrency(minPnl)}
+        </text>
+        {xTicks.map((p) => (
+          <text key={p} x={x(p)} y={HEIGHT - PAD.bottom + 16} className="payoff-axis" textAnchor="middle">
+            {formatCurrency(p)}
+          </text>
+        ))}
+
+        {/* Strikes */}
+        {strikes.filter(inRange).map((k) => (
+          <line key={`k-${k}`} x1={x(k)} x2={x(k)} y1={PAD.top} y2={HEIGHT - PAD.bottom} className="payoff-strike">
+            <title>Strike {formatCurrency(k)}</title>
+          </line>
+        ))}
+
+        {/* Breakevens */}
+        {analysis.breakevens.filter(inRange).map((b) => (
+          <g key={`b-${b}`}>
+            <line x1={x(b)} x2={x(b)} y1={PAD.top} y2={HEIGHT - PAD.bottom} className="payoff-breakeven" />
+            <text x={x(b)} y={PAD.top + 10} className="payoff-marker-label payoff-breakeven-label" textAnchor="middle">
+              BE {formatCurrency(b)}
+            </text>
+          </g>
+        ))}
+
+        {/* Share price */}
+        {inRange(underlyingPrice) && (
+          <g>
+            <line
+              x1={x(underlyingPrice)}
+              x2={x(underlyingPrice)}
+              y1={PAD.top}
+              y2={HEIGHT - PAD.bottom}
+              className="payoff-spot"
+            />
+            <text x={x(underlyingPrice)} y={HEIGHT - PAD.bottom - 6} className="payoff-marker-label payoff-spot-label" textAnchor="middle">
+              Share price {formatCurrency(underlyingPrice)}
+            </text>
+          </g>
+        )}
+
+        {/* Curves */}
+        {curves.map((c, i) => (
+          <path
+            key={c.label}
+            d={path(c.pnl)}
+            fill="none"
+            stroke={CURVE_COLORS[i % CURVE_COLORS.length]}
+            strokeWidth={i === 0 ? 2.5 : 1.5}
+            strokeDasharray={i === 0 ? undefined : '5 3'}
+          />
+        ))}
+      </svg>
+
+      <div className="payoff-legend">
+        {curves.map((c, i) => (
+          <span key={c.label} className="payoff-legend-item">
+            <span className="payoff-legend-swatch" style={{ backgroundColor: CURVE_COLORS[i % CURVE_COLORS.length] }} />
+            {c.label} ({c.date})
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default PayoffChart;
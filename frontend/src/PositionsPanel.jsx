@@ -0,0 +1,271 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { formatCurrency, formatPercent, formatSignedCurrency, formatGreek, getSignClass } from './format';
+
+const REFRESH_MS = 30_000;
+
+const EMPTY_FORM = { ticker: '', side: 'buy', quantity: 1, entryPrice: '', entryDate: '' };
+
+const contractLabel = (p) =>
+  `${p.underlying} ${p.expirationDate} ${formatCurrency(p.strikePrice)} ${String(p.contractType).toUpperCase()}`;
+
+// Open positions marked to market (/api/positions): per-position and total unrealized P&L,
+// position Greeks and days to expiry. Positions are added by hand or imported from a broker CSV.
+function PositionsPanel({ onSelectTicker }) {
+  const [data, setData] = useState(null); // { positions, totals }
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [showForm, setShowForm] = useState(false);
+  const [replaceOnImport, setReplaceOnImport] = useState(false);
+  const [importResult, setImportResult] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    try {
+      const resp = await fetch('/api/positions');
+      const body = await resp.json();
+      if (!resp.ok) throw new Error(body.error || `Positions error: ${resp.status}`);
+      setData(body);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    const handle = setInterval(refresh, REFRESH_MS);
+    return () => clearInterval(handle);
+  }, [refresh]);
+
+  // Run a mutating request, then re-mark the book
+  const mutate = async (request) => {
+    setError(null);
+    try {
+      const resp = await request;
+      const body = resp.status === 204 ? {} : await resp.json();
+      if (!resp.ok) throw new Error(body.error || `Positions error: ${resp.status}`);
+      await refresh();
+      return body;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const onAdd = async (e) => {
+    e.preventDefault();
+    const added = await mutate(
+      fetch('/api/positions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...form, quantity: Number(form.quantity), entryPrice: Number(form.entryPrice) }),
+      })
+    );
+    if (added) {
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+    }
+  };
+
+  const onImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setImportResult(null);
+    const result = await mutate(
+      fetch(`/api/positions/import${replaceOnImport ? '?replace=true' : ''}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv' },
+        body: await file.text(),
+      })
+    );
+    if (result) setImportResult(result);
+  };
+
+  const onRemove = (id) => mutate(fetch(`/api/positions/${encodeURIComponent(id)}`, { method: 'DELETE' }));
+
+  const positions = data?.positions || [];
+  const totals = data?.totals;
+
+  return (
+    <div className="positions-panel">
+      <div className="strategy-ticket-header">
+        <div className="strategy-ticket-title">
+          Positions{positions.length > 0 ? ` (${positions.length})` : ''}
+          {loading && <span className="positions-status"> · updating…</span>}
+        </div>
+        <div className="strategy-ticket-actions">
+          <label className="positions-replace">
+            <input type="checkbox" checked={replaceOnImport} onChange={(e) => setReplaceOnImport(e.target.checked)} />
+            Replace on import
+          </label>
+          <button type="button" className="chatbox-clear" onClick={() => fileInputRef.current?.click()}>
+            Import CSV
+          </button>
+          <input ref={fileInputRef} type="file" accept=".csv,text/csv" hidden onChange={onImport} />
+          <button type="button" className="chatbox-clear" onClick={() => setShowForm((v) => !v)}>
+            {showForm ? 'Cancel' : 'Add'}
+          </button>
+        </div>
+      </div>
+
+      {showForm && (
+        <form className="positions-form" onSubmit={onAdd}>
+          <input
+            className="positions-input positions-input-ticker"
+            placeholder="O:AAPL260116C00250000"
+            value={form.ticker}
+            onChange={(e) => setForm({ ...form, ticker: e.target.value.toUpperCase() })}
+            aria-label="Option ticker"
+            required
+          />
+          <select
+            className="positions-input"
+            value={form.side}
+            onChange={(e) => setForm({ ...form, side: e.target.value })}
+            aria-label="Side"
+          >
+            <option value="buy">Long</option>
+            <option value="sell">Short</option>
+          </select>
+          <input
+            className="positions-input"
+            type="number"
+            min="1"
+            step="1"
+            value={form.quantity}
+            onChange={(e) => setForm({ ...form, quantity: e.target.value })}
+            aria-label="Quantity"
+            required
+          />
+          <input
+            className="positions-input"
+            type="number"
+            min="0"
+            step="0.01"
+            placeholder="Entry price"
+            value={form.entryPrice}
+            onChange={(e) => setForm({ ...form, entryPrice: e.target.value })}
+            aria-label="Entry price per share"
+            required
+          />
+          <input
+            className="positions-input"
+            type="date"
+            value={form.entryDate}
+            onChange={(e) => setForm({ ...form, entryDate: e.target.value })}
+            aria-label="Entry date"
+          />
+          <button type="submit" className="chatbox-clear">
+            Save
+          </button>
+        </form>
+      )}
+
+      {error && <div className="strategy-error">Error: {error}</div>}
+      {importResult && (
+        <div className="positions-import">
+          Imported {importResult.imported} position{importResult.imported === 1 ? '' : 's'}
+          {importResult.skipped.length > 0 && (
+            <span title={importResult.skipped.map((s) => `Line ${s.line}: ${s.reason}`).join('\n')}>
+              , skipped {importResult.skipped.length} row{importResult.skipped.length === 1 ? '' : 's'}
+            </span>
+          )}
+        </div>
+      )}
+
+      {positions.length === 0 ? (
+        <div className="positions-empty">No open positions. Add one or import a broker CSV export.</div>
+      ) : (
+        <table className="strategy-legs positions-table">
+          <thead>
+            <tr>
+              <th>Contract</th>
+              <th>Side</th>
+              <th>Qty</th>
+              <th>Entry</th>
+              <th>Mark</th>
+              <th>P&amp;L</th>
+              <th>P&amp;L %</th>
+              <th>Delta</th>
+              <th>Gamma</th>
+              <th>Theta</th>
+              <th>Vega</th>
+              <th>DTE</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {positions.map((p) => (
+              <tr key={p.id} className={p.daysToExpiry <= 0 ? 'positions-expired' : undefined}>
+                <td>
+                  <button
+                    type="button"
+                    className="positions-contract"
+                    onClick={() => onSelectTicker(p.underlying)}
+                    title={`Opened ${p.entryDate}`}
+                  >
+                    {contractLabel(p)}
+                  </button>
+                </td>
+                <td className={p.side === 'buy' ? 'positive' : 'negative'}>{p.side === 'buy' ? 'Long' : 'Short'}</td>
+                <td>{p.quantity}</td>
+                <td>{formatCurrency(p.entryPrice)}</td>
+                {p.error ? (
+                  <td colSpan={7} className="positions-error" title={p.error}>
+                    Not priced: {p.error}
+                  </td>
+                ) : (
+                  <>
+                    <td>{formatCurrency(p.markPrice)}</td>
+                    <td className={getSignClass(p.unrealizedPnl)}>{formatSignedCurrency(p.unrealizedPnl)}</td>
+                    <td className={getSignClass(p.unrealizedPnlPercent)}>{formatPercent(p.unrealizedPnlPercent)}</td>
+                    <td>{formatGreek(p.delta, 1)}</td>
+                    <td>{formatGreek(p.gamma, 2)}</td>
+                    <td>{formatGreek(p.theta, 2)}</td>
+                    <td>{formatGreek(p.vega, 2)}</td>
+                  </>
+                )}
+                <td>{p.daysToExpiry}</td>
+                <td>
+                  <button
+                    type="button"
+                    className="leg-remove"
+                    onClick={() => onRemove(p.id)}
+                    aria-label={`Remove ${p.ticker}`}
+                  >
+                    ×
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+          {totals && (
+            <tfoot>
+              <tr className="positions-totals">
+                <td colSpan={3}>
+                  Total{totals.unpriced > 0 ? ` (${totals.unpriced} not priced)` : ''}
+                </td>
+                <td title="Net cost (debit positive)">{formatSignedCurrency(totals.costBasis)}</td>
+                <td title="Net market value">{formatSignedCurrency(totals.marketValue)}</td>
+                <td className={getSignClass(totals.unrealizedPnl)}>{formatSignedCurrency(totals.unrealizedPnl)}</td>
+                <td className={getSignClass(totals.unrealizedPnlPercent)}>{formatPercent(totals.unrealizedPnlPercent)}</td>
+                <td>{formatGreek(totals.delta, 1)}</td>
+                <td>{formatGreek(totals.gamma, 2)}</td>
+                <td>{formatGreek(totals.theta, 2)}</td>
+                <td>{formatGreek(totals.vega, 2)}</td>
+                <td colSpan={2} />
+              </tr>
+            </tfoot>
+          )}
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default PositionsPanel;
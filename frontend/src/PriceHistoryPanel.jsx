@@ -0,0 +1,210 @@
+import { useState, useEffect } from 'react';
+import { formatCurrency } from './format';
+
+const WIDTH = 900;
+const HEIGHT = 300;
+const PAD = { top: 14, right: 84, bottom: 28, left: 12 };
+const VOLUME_SHARE = 0.18; // bottom part of the plot used for volume bars
+const RANGES = ['1D', '1W', '1M', '3M', '1Y'];
+
+const formatBarTime = (t, intraday) =>
+  new Date(t).toLocaleString('en-US', {
+    timeZone: 'America/New_York',
+    ...(intraday ? { hour: 'numeric', minute: '2-digit' } : { month: 'short', day: 'numeric' }),
+  });
+
+// Candlestick chart of /api/history bars for the underlying (with the selected contract's strike
+// and breakeven as horizontal lines) or for the selected contract itself
+function PriceHistoryPanel({ ticker, contract }) {
+  const [range, setRange] = useState('1M');
+  const [source, setSource] = useState('underlying'); // 'underlying' | 'contract'
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const showContract = source === 'contract' && contract;
+  const symbol = showContract ? contract.ticker : ticker;
+
+  useEffect(() => {
+    if (!symbol) return undefined;
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+    fetch(`/api/history?${new URLSearchParams({ ticker: symbol, range })}`, { signal: controller.signal })
+      .then(async (resp) => {
+        const data = await resp.json();
+        if (!resp.ok) throw new Error(data.error || `History error: ${resp.status}`);
+        setHistory(data);
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') setError(err.message);
+      })
+      .finally(() => setLoading(false));
+    return () => controller.abort();
+  }, [symbol, range]);
+
+  const bars = history?.ticker === symbol ? history.bars : [];
+  const intraday = history?.timespan === 'minute';
+
+  // Strike and breakeven only make sense on the underlying's price scale
+  const levels = !showContract && contract
+    ? [
+        { key: 'strike', label: 'Strike', value: contract.strikePrice, className: 'history-strike' },
+        { key: 'breakeven', label: 'BE', value: contract.breakeven, className: 'history-breakeven' },
+      ].filter((l) => Number.isFinite(l.value) && l.value > 0)
+    : [];
+
+  let chart = null;
+  if (bars.length > 0) {
+    const lows = bars.map((b) => b.l);
+    const highs = bars.map((b) => b.h);
+    const barLow = Math.min(...lows);
+    const barHigh = Math.max(...highs);
+    // Pull levels into view unless they are far away; far ones are pinned to the edge
+    const reach = (barHigh - barLow) * 1.5 || barHigh * 0.1;
+    const near = levels.filter((l) => l.value >= barLow - reach && l.value <= barHigh + reach).map((l) => l.value);
+    const lo = Math.min(barLow, ...near);
+    const hi = Math.max(barHigh, ...near);
+    const pad = (hi - lo) * 0.06 || hi * 0.01 || 1;
+    const yMin = lo - pad;
+    const yMax = hi + pad;
+
+    const plotW = WIDTH - PAD.left - PAD.right;
+    const plotH = HEIGHT - PAD.top - PAD.bottom;
+    const priceH = plotH * (1 - VOLUME_SHARE);
+    const step = plotW / bars.length;
+    const bodyW = Math.max(1, Math.min(12, step * 0.65));
+    const x = (i) => PAD.left + step * (i + 0.5);
+    const y = (price) => PAD.top + ((yMax - Math.min(yMax, Math.max(yMin, price))) / (yMax - yMin)) * priceH;
+    const maxVolume = Math.max(...bars.map((b) => b.v || 0));
+    const volumeTop = PAD.top + priceH + 4;
+    const volumeH = plotH - priceH - 4;
+
+    const yTicks = [0, 0.25, 0.5, 0.75, 1].map((f) => yMin + (yMax - yMin) * f);
+    const xTicks = [0, Math.floor(bars.length / 2), bars.length - 1].filter((i, n, all) => all.indexOf(i) === n);
+    const last = bars[bars.length - 1];
+
+    chart = (
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="payoff-svg" role="img" aria-label={`${symbol} price history`}>
+        {yTicks.map((p) => (
+          <g key={p}>
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(p)} y2={y(p)} className="history-grid" />
+            <text x={WIDTH - PAD.right + 6} y={y(p)} className="payoff-axis" dominantBaseline="middle">
+              {formatCurrency(p)}
+            </text>
+          </g>
+        ))}
+        {xTicks.map((i) => (
+          <text key={i} x={x(i)} y={HEIGHT - PAD.bottom + 16} className="payoff-axis" textAnchor="middle">
+            {formatBarTime(bars[i].t, intraday)}
+          </text>
+        ))}
+
+        {/* Volume */}
+        {maxVolume > 0 &&
+          bars.map((b, i) => {
+            const h = ((b.v || 0) / maxVolume) * volumeH;
+            return (
+              <rect
+                key={`v-${b.t}`}
+                x={x(i) - bodyW / 2}
+                y={volumeTop + volumeH - h}
+                width={bodyW}
+                height={h}
+                className="history-volume"
+              />
+            );
+          })}
+
+        {/* Candles */}
+        {bars.map((b, i) => {
+          const up = b.c >= b.o;
+          const top = y(Math.max(b.o, b.c));
+          return (
+            <g key={b.t} className={up ? 'history-up' : 'history-down'}>
+              <line x1={x(i)} x2={x(i)} y1={y(b.h)} y2={y(b.l)} />
+              <rect x={x(i) - bodyW / 2} y={top} width={bodyW} height={Math.max(1, y(Math.min(b.o, b.c)) - top)} />
+              <title>
+                {formatBarTime(b.t, intraday)} O {formatCurrency(b.o)} H {formatCurrency(b.h)} L {formatCurrency(b.l)} C{' '}
+                {formatCurrency(b.c)}
+                {b.v != null ? ` V ${b.v.toLocaleString()}` : ''}
+              </title>
+            </g>
+          );
+        })}
+
+        {/* Contract levels (pinned to the top/bottom edge when out of view) */}
+        {levels.map((l) => {
+          const outside = l.value > yMax ? ' ↑' : l.value < yMin ? ' ↓' : '';
+          return (
+            <g key={l.key} className={l.className}>
+              <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(l.value)} y2={y(l.value)} />
+              <text x={PAD.left + 4} y={y(l.value) - 4} className="payoff-marker-label">
+                {l.label} {formatCurrency(l.value)}
+                {outside}
+              </text>
+            </g>
+          );
+        })}
+
+        {/* Last price */}
+        <g className="history-last">
+          <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(last.c)} y2={y(last.c)} />
+          <text x={WIDTH - PAD.right + 6} y={y(last.c)} className="payoff-marker-label" dominantBaseline="middle">
+            {formatCurrency(last.c)}
+          </text>
+        </g>
+      </svg>
+    );
+  }
+
+  return (
+    <div className="price-history">
+      <div className="payoff-chart-header">
+        <div className="payoff-chart-title">
+          {symbol} price history
+          {loading && <span className="positions-status"> · loading…</span>}
+        </div>
+        <div className="price-history-controls">
+          {contract && (
+            <div className="control-group">
+              <button
+                type="button"
+                className={`control-btn ${!showContract ? 'active' : ''}`}
+                onClick={() => setSource('underlying')}
+              >
+                Underlying
+              </button>
+              <button
+                type="button"
+                className={`control-btn ${showContract ? 'active' : ''}`}
+                onClick={() => setSource('contract')}
+                title={contract.ticker}
+              >
+                Contract
+              </button>
+            </div>
+          )}
+          <div className="control-group">
+            {RANGES.map((r) => (
+              <button
+                key={r}
+                type="button"
+                className={`control-btn ${range === r ? 'active' : ''}`}
+                onClick={() => setRange(r)}
+              >
+                {r}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {error && <div className="strategy-error">Error: {error}</div>}
+      {!error && !loading && bars.length === 0 && <div className="positions-empty">No bars for this range.</div>}
+      {chart}
+    </div>
+  );
+}
+
+export default PriceHistoryPanel;
@@ -0,0 +1,191 @@
+import { useState, useEffect } from 'react';
+import { formatCurrency, formatPercent, formatProbability } from './format';
+
+const WIDTH = 900;
+const HEIGHT = 280;
+const PAD = { top: 14, right: 56, bottom: 28, left: 12 };
+
+// Signed IV difference (decimal) in percentage points
+const formatSkew = (value) => (value == null ? '-' : formatPercent(value * 100));
+
+// Call-equivalent delta: calls as-is, puts as 1 + delta, so both sides share one axis
+// running from deep ITM calls (1) to deep OTM calls (0), i.e. low to high strike
+const callEquivalentDelta = (point, side) => (side === 'put' ? 1 + point.delta : point.delta);
+
+// Implied volatility smile of one expiration (/api/volatility-smile) by strike or by delta,
+// with calls and puts as separate curves, spot and the 25-delta points marked
+function SmilePanel({ ticker, expirationDate }) {
+  const [axis, setAxis] = useState('strike'); // 'strike' | 'delta'
+  const [smile, setSmile] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!ticker || !expirationDate) return undefined;
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+    fetch(`/api/volatility-smile?${new URLSearchParams({ ticker, expirationDate })}`, { signal: controller.signal })
+      .then(async (resp) => {
+        const data = await resp.json();
+        if (!resp.ok) throw new Error(data.error || `Smile error: ${resp.status}`);
+        setSmile(data);
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') setError(err.message);
+      })
+      .finally(() => setLoading(false));
+    return () => controller.abort();
+  }, [ticker, expirationDate]);
+
+  const current = smile?.ticker === ticker && smile?.expirationDate === expirationDate ? smile : null;
+  const byDelta = axis === 'delta';
+
+  // [{ side, points: [{ x, iv, point }] }] in the chosen axis
+  const series = current
+    ? [
+        ['call', current.calls],
+        ['put', current.puts],
+      ].map(([side, points]) => ({
+        side,
+        points: points
+          .filter((p) => !byDelta || Number.isFinite(p.delta))
+          .map((p) => ({ x: byDelta ? callEquivalentDelta(p, side) : p.strike, iv: p.impliedVolatility, point: p }))
+          .sort((a, b) => (byDelta ? b.x - a.x : a.x - b.x)),
+      }))
+    : [];
+  const all = series.flatMap((s) => s.points);
+
+  let chart = null;
+  if (current && all.length > 0) {
+    const spot = current.underlyingPrice;
+    const xs = all.map((p) => p.x);
+    // Delta runs 1 -> 0 left to right so both axes read low strike to high strike
+    const [xLeft, xRight] = byDelta ? [1, 0] : [Math.min(...xs, spot), Math.max(...xs, spot)];
+    const ivs = all.map((p) => p.iv);
+    const ivPad = (Math.max(...ivs) - Math.min(...ivs)) * 0.1 || 0.01;
+    const yMin = Math.max(0, Math.min(...ivs) - ivPad);
+    const yMax = Math.max(...ivs) + ivPad;
+
+    const plotW = WIDTH - PAD.left - PAD.right;
+    const plotH = HEIGHT - PAD.top - PAD.bottom;
+    const x = (v) => PAD.left + ((v - xLeft) / (xRight - xLeft || 1)) * plotW;
+    const y = (iv) => PAD.top + ((yMax - iv) / (yMax - yMin)) * plotH;
+
+    const yTicks = [0, 0.25, 0.5, 0.75, 1].map((f) => yMin + (yMax - yMin) * f);
+    const xTicks = [0, 0.25, 0.5, 0.75, 1].map((f) => xLeft + (xRight - xLeft) * f);
+
+    // Spot and the interpolated 25-delta points, in axis units
+    const markers = [
+      { key: 'spot', className: 'smile-spot', at: byDelta ? 0.5 : spot, label: byDelta ? 'ATM Δ0.50' : `Spot ${formatCurrency(spot)}` },
+      current.put25 && {
+        key: 'put25',
+        className: 'smile-delta',
+        at: byDelta ? 0.75 : current.put25.strike,
+        label: `25Δ put ${formatProbability(current.put25.impliedVolatility)}`,
+      },
+      current.call25 && {
+        key: 'call25',
+        className: 'smile-delta',
+        at: byDelta ? 0.25 : current.call25.strike,
+        label: `25Δ call ${formatProbability(current.call25.impliedVolatility)}`,
+      },
+    ].filter(Boolean);
+
+    chart = (
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="payoff-svg" role="img" aria-label={`${ticker} volatility smile`}>
+        {yTicks.map((iv) => (
+          <g key={iv}>
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(iv)} y2={y(iv)} className="history-grid" />
+            <text x={WIDTH - PAD.right + 6} y={y(iv)} className="payoff-axis" dominantBaseline="middle">
+              {formatProbability(iv)}
+            </text>
+          </g>
+        ))}
+        {xTicks.map((v) => (
+          <text key={v} x={x(v)} y={HEIGHT - PAD.bottom + 16} className="payoff-axis" textAnchor="middle">
+            {byDelta ? `Δ${v.toFixed(2)}` : formatCurrency(v)}
+          </text>
+        ))}
+
+        {/* Labels are staggered so nearby markers stay readable */}
+        {markers.map((m, i) => (
+          <g key={m.key} className={m.className}>
+            <line x1={x(m.at)} x2={x(m.at)} y1={PAD.top} y2={HEIGHT - PAD.bottom} />
+            <text x={x(m.at) + 4} y={PAD.top + 10 + i * 12} className="payoff-marker-label">
+              {m.label}
+            </text>
+          </g>
+        ))}
+
+        {series.map((s) => (
+          <g key={s.side} className={`smile-${s.side}`}>
+            <polyline points={s.points.map((p) => `${x(p.x)},${y(p.iv)}`).join(' ')} />
+            {s.points.map((p) => (
+              <circle key={p.point.ticker} cx={x(p.x)} cy={y(p.iv)} r={3}>
+                <title>
+                  {s.side === 'call' ? 'Call' : 'Put'} {formatCurrency(p.point.strike)} · IV {formatProbability(p.iv)}
+                  {Number.isFinite(p.point.delta) ? ` · Δ ${p.point.delta.toFixed(2)}` : ''}
+                  {p.point.ivSource === 'computed' ? ' (computed)' : ''}
+                </title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+    );
+  }
+
+  return (
+    <div className="price-history">
+      <div className="payoff-chart-header">
+        <div className="payoff-chart-title">
+          {ticker} {expirationDate} volatility smile
+          {loading && <span className="positions-status"> · loading…</span>}
+        </div>
+        <div className="price-history-controls">
+          <div className="control-group">
+            <button
+              type="button"
+              className={`control-btn ${!byDelta ? 'active' : ''}`}
+              onClick={() => setAxis('strike')}
+            >
+              Strike
+            </button>
+            <button
+              type="button"
+              className={`control-btn ${byDelta ? 'active' : ''}`}
+              onClick={() => setAxis('delta')}
+            >
+              Delta
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {current && (
+        <div className="smile-metrics">
+          <span>
+            <span className="volatility-label">ATM IV</span> {formatProbability(current.atmIv)}
+          </span>
+          <span title="25Δ call IV minus 25Δ put IV">
+            <span className="volatility-label">25Δ RR</span> {formatSkew(current.riskReversal25)}
+          </span>
+          <span title="Mean of the 25Δ call and put IV minus ATM IV">
+            <span className="volatility-label">25Δ BF</span> {formatSkew(current.butterfly25)}
+          </span>
+          <span className="smile-legend smile-legend-call">Calls</span>
+          <span className="smile-legend smile-legend-put">Puts</span>
+        </div>
+      )}
+
+      {error && <div className="strategy-error">Error: {error}</div>}
+      {!error && !loading && current && all.length === 0 && (
+        <div className="positions-empty">No implied volatility for this expiration.</div>
+      )}
+      {chart}
+    </div>
+  );
+}
+
+export default SmilePanel;
@@ -0,0 +1,130 @@
+import {
+  formatCurrency,
+  formatProbability,
+  formatGreek,
+  formatMaxValue,
+} from './format';
+
+// Strategy ticket: legs added from the chain's "+" buttons, analyzed by /api/strategy
+function StrategyTicket({ legs, analysis, loading, error, onChangeLeg, onRemoveLeg, onClear, onAnalyzeInChat }) {
+  if (legs.length === 0) return null;
+
+  const analyzedLeg = (ticker) => analysis?.legs?.find((l) => l.ticker === ticker);
+
+  return (
+    <div className="strategy-ticket">
+      <div className="strategy-ticket-header">
+        <div className="strategy-ticket-title">Strategy ticket</div>
+        <div className="strategy-ticket-actions">
+          <button type="button" className="chatbox-clear" onClick={onAnalyzeInChat} disabled={!analysis}>
+            Analyze in chat
+          </button>
+          <button type="button" className="chatbox-clear" onClick={onClear}>
+            Clear
+          </button>
+        </div>
+      </div>
+
+      <table className="strategy-legs">
+        <thead>
+          <tr>
+            <th>Side</th>
+            <th>Qty</th>
+            <th>Contract</th>
+            <th>Price</th>
+            <th>IV</th>
+            <th>Delta</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {legs.map((leg) => {
+            const priced = analyzedLeg(leg.option.ticker);
+            return (
+              <tr key={leg.id}>
+                <td>
+                  <button
+                    type="button"
+                    className={`leg-side leg-side-${leg.side}`}
+                    onClick={() => onChangeLeg(leg.id, { side: leg.side === 'buy' ? 'sell' : 'buy' })}
+                  >
+                    {leg.side === 'buy' ? 'Buy' : 'Sell'}
+                  </button>
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    className="leg-qty"
+                    value={leg.quantity}
+                    onChange={(e) => {
+                      const quantity = Math.max(1, Math.floor(Number(e.target.value) || 1));
+                      onChangeLeg(leg.id, { quantity });
+                    }}
+                  />
+                </td>
+                <td>
+                  {leg.option.expirationDate} {formatCurrency(leg.option.strikePrice)}{' '}
+                  {String(leg.option.contractType).toUpperCase()}
+                </td>
+                <td>{formatCurrency(priced?.premium ?? leg.option.optionPrice)}</td>
+                <td>{priced?.impliedVolatility != null ? formatProbability(priced.impliedVolatility) : '-'}</td>
+                <td>{formatGreek(priced?.delta)}</td>
+                <td>
+                  <button
+                    type="button"
+                    className="leg-remove"
+                    onClick={() => onRemoveLeg(leg.id)}
+                    aria-label={`Remove ${leg.option.ticker}`}
+                  >
+                    ×
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {error && <div className="strategy-error">Error: {error}</div>}
+      {loading && <div className="strategy-loading">Analyzing strategy...</div>}
+
+      {!loading && analysis && (
+        <div className="strategy-summary">
+          <div className="strategy-stat">
+            <span className="strategy-stat-label">Net {analysis.netType}</span>
+            <span>{formatCurrency(analysis.netPremium)}</span>
+          </div>
+          <div className="strategy-stat">
+            <span className="strategy-stat-label">Max profit</span>
+            <span className="positive">{formatMaxValue(analysis.maxProfit)}</span>
+          </div>
+          <div className="strategy-stat">
+            <span className="strategy-stat-label">Max loss</span>
+            <span className="negative">{formatMaxValue(analysis.maxLoss)}</span>
+          </div>
+          <div className="strategy-stat">
+            <span className="strategy-stat-label">Breakevens</span>
+            <span>
+              {analysis.breakevens.length > 0 ? analysis.breakevens.map((b) => formatCurrency(b)).join(', ') : 'None'}
+            </span>
+          </div>
+          <div className="strategy-stat">
+            <span className="strategy-stat-label">Prob. profit</span>
+            <span>{formatProbability(analysis.probabilityOfProfit)}</span>
+          </div>
+          <div className="strategy-stat">
+            <span className="strategy-stat-label">Δ / Γ / Θ / V</span>
+            <span>
+              {formatGreek(analysis.greeks.delta, 1)} / {formatGreek(analysis.greeks.gamma, 2)} /{' '}
+              {formatGreek(analysis.greeks.theta, 2)} / {formatGreek(analysis.greeks.vega, 2)}
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default StrategyTicket;
@@ -0,0 +1,98 @@
+import { useState, useEffect } from 'react';
+
+export const DEFAULT_STRIKE_WINDOW = { mode: 'count', count: 10, percent: 10, deltaMin: 0.1, deltaMax: 0.5 };
+
+// Query string fragment for /api/options
+export const strikeWindowQuery = (w) => {
+  const params = new URLSearchParams({ strikeMode: w.mode });
+  if (w.mode === 'count') params.set('strikeCount', String(w.count));
+  if (w.mode === 'percent') params.set('strikePercent', String(w.percent));
+  if (w.mode === 'delta') {
+    params.set('deltaMin', String(w.deltaMin));
+    params.set('deltaMax', String(w.deltaMax));
+  }
+  return params.toString();
+};
+
+// `w` if it already reaches `strike`, otherwise a ±% window wide enough for it (count and delta
+// windows can't be checked without the chain, so they switch to % too)
+export const windowIncludingStrike = (w, strike, spot) => {
+  if (w.mode === 'all' || !(spot > 0)) return w;
+  const needed = Math.ceil((Math.abs(strike - spot) / spot) * 100) + 1;
+  if (needed > 100) return { ...w, mode: 'all' };
+  if (w.mode === 'percent' && w.percent >= needed) return w;
+  return { ...w, mode: 'percent', percent: Math.max(w.percent, needed) };
+};
+
+// Strike window picker: count each side, % from spot, delta range, or full chain.
+// Number fields apply on blur/Enter so typing doesn't refetch the chain per keystroke.
+function StrikeRangeControl({ value, onChange }) {
+  const [draft, setDraft] = useState(value);
+
+  useEffect(() => {
+    setDraft(value);
+  }, [value]);
+
+  const commit = () => {
+    const next = { ...value };
+    const count = Math.floor(Number(draft.count));
+    const percent = Number(draft.percent);
+    const deltaMin = Number(draft.deltaMin);
+    const deltaMax = Number(draft.deltaMax);
+    if (count >= 1 && count <= 200) next.count = count;
+    if (percent > 0 && percent <= 100) next.percent = percent;
+    if (deltaMin >= 0 && deltaMax <= 1 && deltaMin < deltaMax) {
+      next.deltaMin = deltaMin;
+      next.deltaMax = deltaMax;
+    }
+    setDraft(next);
+    if (JSON.stringify(next) !== JSON.stringify(value)) onChange(next);
+  };
+
+  const numberInput = (field, props) => (
+    <input
+      type="number"
+      className="strike-range-input"
+      value={draft[field]}
+      onChange={(e) => setDraft((d) => ({ ...d, [field]: e.target.value }))}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') commit();
+      }}
+      {...props}
+    />
+  );
+
+  return (
+    <div className="control-group strike-range">
+      <select
+        className="expiration-select strike-range-mode"
+        value={value.mode}
+        onChange={(e) => onChange({ ...value, mode: e.target.value })}
+        aria-label="Strike range"
+      >
+        <option value="count">Strikes each side</option>
+        <option value="percent">% from spot</option>
+        <option value="delta">Delta range</option>
+        <option value="all">Full chain</option>
+      </select>
+      {value.mode === 'count' && numberInput('count', { min: 1, max: 200, step: 1, 'aria-label': 'Strikes each side' })}
+      {value.mode === 'percent' && (
+        <>
+          <span className="strike-range-label">±</span>
+          {numberInput('percent', { min: 1, max: 100, step: 1, 'aria-label': 'Percent from spot' })}
+          <span className="strike-range-label">%</span>
+        </>
+      )}
+      {value.mode === 'delta' && (
+        <>
+          {numberInput('deltaMin', { min: 0, max: 1, step: 0.05, 'aria-label': 'Minimum absolute delta' })}
+          <span className="strike-range-label">to</span>
+          {numberInput('deltaMax', { min: 0, max: 1, step: 0.05, 'aria-label': 'Maximum absolute delta' })}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default StrikeRangeControl;
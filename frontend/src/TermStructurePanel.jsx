@@ -0,0 +1,158 @@
+import { useState, useEffect } from 'react';
+import { formatProbability } from './format';
+
+const WIDTH = 900;
+const HEIGHT = 260;
+const PAD = { top: 16, right: 56, bottom: 28, left: 16 };
+const DAY_TICKS = [7, 30, 90, 180, 365, 730];
+const SHAPE_LABELS = { contango: 'Contango', backwardation: 'Backwardation', flat: 'Flat' };
+
+// ATM IV term structure (/api/term-structure): ATM IV per expiration against days to expiry on a
+// square-root scale, forward vol between expirations as steps, and elevated forwards highlighted.
+// Clicking an expiration selects it in the chain through `onSelectExpiration`.
+function TermStructurePanel({ ticker, selectedExpiration, onSelectExpiration }) {
+  const [structure, setStructure] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!ticker) return undefined;
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+    fetch(`/api/term-structure?ticker=${encodeURIComponent(ticker)}`, { signal: controller.signal })
+      .then(async (resp) => {
+        const data = await resp.json();
+        if (!resp.ok) throw new Error(data.error || `Term structure error: ${resp.status}`);
+        setStructure(data);
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') setError(err.message);
+      })
+      .finally(() => setLoading(false));
+    return () => controller.abort();
+  }, [ticker]);
+
+  const current = structure?.ticker === ticker ? structure : null;
+  const points = current?.points || [];
+
+  let chart = null;
+  if (points.length > 0) {
+    const maxDays = Math.max(...points.map((p) => p.calendarDaysUntil), 7);
+    const values = points.flatMap((p) => [p.atmIv, p.forwardVolatility]).filter((v) => v != null);
+    const ivPad = (Math.max(...values) - Math.min(...values)) * 0.15 || 0.01;
+    const yMin = Math.max(0, Math.min(...values) - ivPad);
+    const yMax = Math.max(...values) + ivPad;
+
+    const plotW = WIDTH - PAD.left - PAD.right;
+    const plotH = HEIGHT - PAD.top - PAD.bottom;
+    const x = (days) => PAD.left + (Math.sqrt(days) / Math.sqrt(maxDays)) * plotW;
+    const y = (iv) => PAD.top + ((yMax - iv) / (yMax - yMin)) * plotH;
+    const yTicks = [0, 0.25, 0.5, 0.75, 1].map((f) => yMin + (yMax - yMin) * f);
+
+    chart = (
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="payoff-svg" role="img" aria-label={`${ticker} IV term structure`}>
+        {yTicks.map((iv) => (
+          <g key={iv}>
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(iv)} y2={y(iv)} className="history-grid" />
+            <text x={WIDTH - PAD.right + 6} y={y(iv)} className="payoff-axis" dominantBaseline="middle">
+              {formatProbability(iv)}
+            </text>
+          </g>
+        ))}
+        {DAY_TICKS.filter((d) => d <= maxDays).map((d) => (
+          <text key={d} x={x(d)} y={HEIGHT - PAD.bottom + 16} className="payoff-axis" textAnchor="middle">
+            {d}d
+          </text>
+        ))}
+
+        {/* Forward vol: flat from the previous expiration to this one */}
+        {points.map((p, i) =>
+          i > 0 && p.forwardVolatility != null ? (
+            <line
+              key={`fwd-${p.expirationDate}`}
+              x1={x(points[i - 1].calendarDaysUntil)}
+              x2={x(p.calendarDaysUntil)}
+              y1={y(p.forwardVolatility)}
+              y2={y(p.forwardVolatility)}
+              className={`term-forward ${p.elevatedForward ? 'term-forward-elevated' : ''}`}
+            >
+              <title>
+                Forward vol {points[i - 1].expirationDate} → {p.expirationDate}: {formatProbability(p.forwardVolatility)}
+              </title>
+            </line>
+          ) : null
+        )}
+
+        {/* ATM IV, red where it falls from the previous expiration */}
+        {points.map((p, i) =>
+          i > 0 ? (
+            <line
+              key={`seg-${p.expirationDate}`}
+              x1={x(points[i - 1].calendarDaysUntil)}
+              x2={x(p.calendarDaysUntil)}
+              y1={y(points[i - 1].atmIv)}
+              y2={y(p.atmIv)}
+              className={`term-line ${p.inverted ? 'term-line-inverted' : ''}`}
+            />
+          ) : null
+        )}
+        {points.map((p) => (
+          <circle
+            key={p.expirationDate}
+            cx={x(p.calendarDaysUntil)}
+            cy={y(p.atmIv)}
+            r={p.expirationDate === selectedExpiration ? 6 : 4}
+            className={`term-point ${p.expirationDate === selectedExpiration ? 'term-point-selected' : ''}`}
+            onClick={() => onSelectExpiration(p.expirationDate)}
+          >
+            <title>
+              {p.expirationDate} ({p.cycle}, {p.calendarDaysUntil} days): ATM IV {formatProbability(p.atmIv)}
+              {p.forwardVolatility != null ? ` · forward ${formatProbability(p.forwardVolatility)}` : ''}
+              {p.elevatedForward ? ' · elevated forward vol (possible event)' : ''}
+            </title>
+          </circle>
+        ))}
+      </svg>
+    );
+  }
+
+  return (
+    <div className="price-history">
+      <div className="payoff-chart-header">
+        <div className="payoff-chart-title">
+          {ticker} IV term structure
+          {current?.shape && (
+            <span className={`term-shape term-shape-${current.shape}`}>{SHAPE_LABELS[current.shape]}</span>
+          )}
+          {loading && <span className="positions-status"> · loading…</span>}
+        </div>
+        {current?.frontIv != null && (
+          <div className="smile-metrics">
+            <span>
+              <span className="volatility-label">Front</span> {formatProbability(current.frontIv)}
+            </span>
+            <span>
+              <span className="volatility-label">Back</span> {formatProbability(current.backIv)}
+            </span>
+            <span className="term-legend term-legend-forward">Forward vol</span>
+          </div>
+        )}
+      </div>
+
+      {current?.incompleteStats?.length > 0 && (
+        <div className="positions-status" title={current.incompleteStats.join(', ')}>
+          The chain snapshot stopped short of {current.incompleteStats.length} expiration
+          {current.incompleteStats.length === 1 ? '' : 's'}; their ATM IV may be missing or partial.
+        </div>
+      )}
+      {error && <div className="strategy-error">Error: {error}</div>}
+      {!error && !loading && current && points.length === 0 && (
+        <div className="positions-empty">No ATM IV for any expiration.</div>
+      )}
+      {chart}
+    </div>
+  );
+}
+
+export default TermStructurePanel;
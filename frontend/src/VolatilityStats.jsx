@@ -0,0 +1,64 @@
+import { useState, useEffect } from 'react';
+import { formatProbability } from './format';
+
+const REFRESH_MS = 60_000;
+
+// 0..1 rank/percentile as a whole number, the way IV rank is usually quoted
+const formatRank = (value) => (value == null ? '-' : Math.round(value * 100));
+
+// Volatility summary for the stock header (/api/volatility): ATM IV with its 52-week rank and
+// percentile, and close-to-close realized volatility over 10/20/30/60 sessions
+function VolatilityStats({ ticker }) {
+  const [stats, setStats] = useState(null);
+
+  useEffect(() => {
+    setStats(null);
+    if (!ticker) return undefined;
+    const controller = new AbortController();
+    const load = () =>
+      fetch(`/api/volatility?ticker=${encodeURIComponent(ticker)}`, { signal: controller.signal })
+        .then((resp) => (resp.ok ? resp.json() : Promise.reject(new Error(`Volatility error: ${resp.status}`))))
+        .then(setStats)
+        .catch((err) => {
+          if (err.name !== 'AbortError') console.error('Error fetching volatility:', err);
+        });
+    load();
+    const handle = setInterval(load, REFRESH_MS);
+    return () => {
+      controller.abort();
+      clearInterval(handle);
+    };
+  }, [ticker]);
+
+  if (!stats || stats.ticker !== ticker) return null;
+
+  const rankTitle =
+    stats.ivRank == null
+      ? `IV rank needs more history (${stats.ivHistoryDays} day${stats.ivHistoryDays === 1 ? '' : 's'} recorded)`
+      : `52-week ATM IV range ${formatProbability(stats.ivLow)}–${formatProbability(stats.ivHigh)} over ${stats.ivHistoryDays} days`;
+
+  return (
+    <div className="volatility-stats">
+      <div className="volatility-stat" title={stats.atmIvExpiration ? `ATM IV of the ${stats.atmIvExpiration} expiration` : undefined}>
+        <span className="volatility-label">IV</span>
+        <span className="volatility-value">{formatProbability(stats.atmIv)}</span>
+      </div>
+      <div className="volatility-stat" title={rankTitle}>
+        <span className="volatility-label">IVR</span>
+        <span className="volatility-value">{formatRank(stats.ivRank)}</span>
+      </div>
+      <div className="volatility-stat" title="Share of the past 52 weeks' days with a lower ATM IV">
+        <span className="volatility-label">IVP</span>
+        <span className="volatility-value">{formatRank(stats.ivPercentile)}</span>
+      </div>
+      {Object.entries(stats.realizedVolatility || {}).map(([days, value]) => (
+        <div key={days} className="volatility-stat" title={`${days}-day close-to-close realized volatility`}>
+          <span className="volatility-label">HV{days}</span>
+          <span className="volatility-value">{formatProbability(value)}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default VolatilityStats;
@@ -0,0 +1,135 @@
+import { useState, useEffect, useCallback } from 'react';
+import { formatCurrency, formatPercent, getSignClass } from './format';
+
+const REFRESH_MS = 30_000;
+
+// Tooltip for the IV rank cell: ATM IV, the range it is ranked against and its percentile
+const ivTitle = (q) =>
+  q.atmIv == null
+    ? 'No ATM IV available'
+    : `ATM IV ${(q.atmIv * 100).toFixed(1)}% (${q.atmIvExpiration})` +
+      (q.ivRank == null
+        ? ` · IV rank needs more history (${q.ivHistoryDays} day${q.ivHistoryDays === 1 ? '' : 's'} recorded)`
+        : ` · 1y range ${(q.ivLow * 100).toFixed(1)}%–${(q.ivHigh * 100).toFixed(1)}% over ${q.ivHistoryDays} days`) +
+      (q.ivPercentile == null ? '' : ` · IV percentile ${Math.round(q.ivPercentile * 100)}`);
+
+// Persisted watchlist (/api/watchlist) with batch quotes (/api/quotes), refreshed periodically.
+// Clicking a ticker loads it into the chain through `onSelect`.
+function Watchlist({ activeTicker, onSelect }) {
+  const [tickers, setTickers] = useState([]);
+  const [quotes, setQuotes] = useState({}); // ticker -> quote or { error }
+  const [draft, setDraft] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch('/api/watchlist')
+      .then((resp) => (resp.ok ? resp.json() : Promise.reject(new Error(`Watchlist error: ${resp.status}`))))
+      .then((data) => setTickers(data.tickers || []))
+      .catch((err) => console.error('Error fetching watchlist:', err));
+  }, []);
+
+  const refreshQuotes = useCallback(() => {
+    if (tickers.length === 0) return;
+    fetch(`/api/quotes?tickers=${encodeURIComponent(tickers.join(','))}`)
+      .then((resp) => (resp.ok ? resp.json() : Promise.reject(new Error(`Quotes error: ${resp.status}`))))
+      .then((data) => setQuotes(Object.fromEntries(data.quotes.map((q) => [q.ticker, q]))))
+      .catch((err) => console.error('Error fetching watchlist quotes:', err));
+  }, [tickers]);
+
+  useEffect(() => {
+    refreshQuotes();
+    const handle = setInterval(refreshQuotes, REFRESH_MS);
+    return () => clearInterval(handle);
+  }, [refreshQuotes]);
+
+  const update = async (request) => {
+    setError(null);
+    try {
+      const resp = await request;
+      const data = await resp.json();
+      if (!resp.ok) throw new Error(data.error || `Watchlist error: ${resp.status}`);
+      setTickers(data.tickers);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const onAdd = async (e) => {
+    e.preventDefault();
+    const ticker = draft.trim().toUpperCase();
+    if (!ticker) return;
+    const added = await update(
+      fetch('/api/watchlist', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ticker }),
+      })
+    );
+    if (added) setDraft('');
+  };
+
+  const onRemove = (ticker) => update(fetch(`/api/watchlist/${encodeURIComponent(ticker)}`, { method: 'DELETE' }));
+
+  return (
+    <aside className="watchlist">
+      <div className="watchlist-title">Watchlist</div>
+      <form className="watchlist-add" onSubmit={onAdd}>
+        <input
+          className="watchlist-input"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value.toUpperCase())}
+          placeholder="Add ticker"
+          aria-label="Add ticker to watchlist"
+        />
+        <button type="submit" className="chatbox-clear">
+          Add
+        </button>
+      </form>
+      {error && <div className="watchlist-error">{error}</div>}
+
+      {tickers.length === 0 ? (
+        <div className="watchlist-empty">No tickers yet</div>
+      ) : (
+        <ul className="watchlist-items">
+          {tickers.map((ticker) => {
+            const q = quotes[ticker];
+            const change = q?.todayChange ?? null;
+            const changePercent = q?.todayChangePercent ?? null;
+            return (
+              <li key={ticker} className={`watchlist-item ${ticker === activeTicker ? 'active' : ''}`}>
+                <button type="button" className="watchlist-load" onClick={() => onSelect(ticker)}>
+                  <span className="watchlist-ticker">{ticker}</span>
+                  {q?.error ? (
+                    <span className="watchlist-item-error" title={q.error}>
+                      unavailable
+                    </span>
+                  ) : (
+                    <>
+                      <span className="watchlist-price">{formatCurrency(q?.price)}</span>
+                      <span className={`watchlist-change ${getSignClass(change)}`}>{formatPercent(changePercent)}</span>
+                      <span className="watchlist-ivr" title={q ? ivTitle(q) : undefined}>
+                        IVR {q?.ivRank != null ? Math.round(q.ivRank * 100) : '-'}
+                      </span>
+                    </>
+                  )}
+                </button>
+                <button
+                  type="button"
+                  className="watchlist-remove"
+                  onClick={() => onRemove(ticker)}
+                  aria-label={`Remove ${ticker} from watchlist`}
+                >
+                  ×
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </aside>
+  );
+}
+
+export default Watchlist;
@@ -0,0 +1,52 @@
+// POST /api/chat in streamed mode and feed each token chunk to `onDelta`
+// and each server-side tool call ({ name, arguments, summary, error }) to `onToolCall`.
+// Send either the whole conversation (`messages`) or a saved session's id plus the new `message`;
+// `ticker` is the symbol on screen, whose volatility the server adds to the model's context.
+// Resolves with the `done` payload ({ content, toolCalls, sessionId, summarizedMessages, ... });
+// rejects with an AbortError when `signal` aborts.
+export async function streamChat({ messages, sessionId, message, model, ticker, signal, onDelta, onToolCall = () => {} }) {
+  const resp = await fetch('/api/chat', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(
+      sessionId ? { sessionId, message, model, ticker, stream: true } : { messages, model, ticker, stream: true }
+    ),
+    signal,
+  });
+  if (!resp.ok) {
+    const err = await resp.json().catch(() => ({}));
+    throw new Error(err.error || `Chat error: ${resp.status}`);
+  }
+
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line: "event: <name>\ndata: <json>"
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+    for (const raw of events) {
+      const event = /^event: (.*)$/m.exec(raw)?.[1];
+      const data = /^data: (.*)$/m.exec(raw)?.[1];
+      if (!event || data === undefined) continue;
+      const payload = JSON.parse(data);
+      if (event === 'delta') {
+        content += payload.content;
+        onDelta(payload.content);
+      } else if (event === 'tool') {
+        onToolCall(payload);
+      } else if (event === 'done') {
+        return { ...payload, content: payload.content ?? content };
+      } else if (event === 'error') {
+        throw new Error(payload.error);
+      }
+    }
+  }
+  return { content };
+}
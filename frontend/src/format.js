@@ -0,0 +1,43 @@
+// Shared display formatters for the chain, strategy ticket and charts
+
+export const formatCurrency = (value) => {
+  if (value === null || value === undefined) return '-';
+  return `$${Number(value).toFixed(2)}`;
+};
+
+export const formatPercent = (value) => {
+  if (value === null || value === undefined) return '-';
+  const sign = value >= 0 ? '+' : '';
+  return `${sign}${Number(value).toFixed(2)}%`;
+};
+
+export const formatProbability = (value) => {
+  if (value === null || value === undefined) return '-';
+  return `${(Number(value) * 100).toFixed(1)}%`;
+};
+
+export const formatSignedCurrency = (value) => {
+  if (value === null || value === undefined) return '-';
+  const n = Number(value);
+  if (!Number.isFinite(n)) return '-';
+  const sign = n > 0 ? '+' : n < 0 ? '-' : '';
+  return `${sign}$${Math.abs(n).toFixed(2)}`;
+};
+
+export const formatGreek = (value, digits = 3) => {
+  if (value === null || value === undefined) return '-';
+  const n = Number(value);
+  return Number.isFinite(n) ? n.toFixed(digits) : '-';
+};
+
+// Max profit/loss may be a dollar amount or the string "unlimited"
+export const formatMaxValue = (value) => {
+  if (value === 'unlimited') return 'Unlimited';
+  return formatCurrency(value);
+};
+
+export const getSignClass = (value) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n === 0) return 'neutral';
+  return n > 0 ? 'positive' : 'negative';
+};
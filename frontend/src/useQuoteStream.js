@@ -0,0 +1,39 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Subscribe to /api/stream/quotes (server-sent events) for the chain being viewed.
+// `onQuote` receives { underlying, underlyingPrice, options, at } per tick.
+// Returns the stream status: 'off' | 'connecting' | 'live' | 'error'.
+function useQuoteStream({ enabled, ticker, expirationDate, contractType, action, onQuote }) {
+  const [status, setStatus] = useState('off');
+  const onQuoteRef = useRef(onQuote);
+  onQuoteRef.current = onQuote;
+
+  useEffect(() => {
+    if (!enabled || !ticker || !expirationDate) {
+      setStatus('off');
+      return;
+    }
+
+    const params = new URLSearchParams({ ticker, expirationDate, contractType, action });
+    const source = new EventSource(`/api/stream/quotes?${params}`);
+    setStatus('connecting');
+
+    source.addEventListener('ready', () => setStatus('live'));
+    source.addEventListener('quote', (e) => {
+      setStatus('live');
+      onQuoteRef.current(JSON.parse(e.data));
+    });
+    source.addEventListener('stream-error', (e) => {
+      console.error('Quote stream error:', JSON.parse(e.data).error);
+      setStatus('error');
+    });
+    // EventSource reconnects on its own after network errors
+    source.onerror = () => setStatus('connecting');
+
+    return () => source.close();
+  }, [enabled, ticker, expirationDate, contractType, action]);
+
+  return status;
+}
+
+export default useQuoteStream;